@@ -0,0 +1,179 @@
+/**
+ * Classifies import sources into ordered, user-configurable groups.
+ * A group is either one of the built-in import kinds, or an object:
+ *  {
+ *    name: 'aliases',            // used in report messages
+ *    kinds: ['internal'],        // built-in kinds that belong to this group
+ *    match: ['@app/**', '/^~\//'] // globs, or regular expressions wrapped in slashes
+ *  }
+ */
+
+const { builtinModules } = require('module')
+const { globToRegExp, parseRegExp } = require('./utils')
+
+const IMPORT_KINDS = [
+  'side-effect',
+  'builtin',
+  'external',
+  'internal',
+  'parent',
+  'sibling',
+  'index',
+  'asset',
+]
+
+const IMPORT_KIND_NAMES = {
+  'side-effect': 'side effect',
+  builtin: 'Node built-in module',
+  external: 'external package',
+  internal: 'internal',
+  parent: 'parent directory',
+  sibling: 'sibling',
+  index: 'index',
+  asset: 'static asset',
+}
+
+const DEFAULT_GROUPS = [
+  { name: 'side effect', kinds: ['side-effect'] },
+  { name: 'Node built-in module', kinds: ['builtin'] },
+  { name: 'external package', kinds: ['external'] },
+  { name: 'internal', kinds: ['internal', 'parent', 'sibling', 'index'] },
+  { name: 'static asset', kinds: ['asset'] },
+]
+
+/** Name of the implicit trailing group for imports that no configured group matches */
+const UNMATCHED_GROUP_NAME = 'other'
+
+const ASSET_RE = /\.(svg|woff|woff2|tts|eot|bmp|jpe?g|gif|png|json|txt)$/
+
+/** JSON schema of the `groups` option */
+const groupsSchema = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    oneOf: [
+      { type: 'string', enum: IMPORT_KINDS },
+      {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          kinds: { type: 'array', items: { type: 'string', enum: IMPORT_KINDS } },
+          match: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['name'],
+        additionalProperties: false,
+      },
+    ],
+  },
+}
+
+/**
+ * Turns a `match` entry into a predicate, strings wrapped in slashes are treated as regular expressions
+ * @param {string} matcher
+ * @returns {(source: string) => boolean}
+ */
+function compileMatcher(matcher) {
+  const re = parseRegExp(matcher) || globToRegExp(matcher)
+  return (source) => re.test(source)
+}
+
+/**
+ * Determines if an import source refers to a module that ships with Node
+ * Sources using the `node:` protocol always do, even for modules only available through it like 'node:test'
+ * @param {string} source
+ */
+function isBuiltinModule(source) {
+  return source.startsWith('node:') || builtinModules.includes(source)
+}
+
+/**
+ * Gets the built-in kind of an import source
+ * @param {string} source
+ * @param {boolean} isSideEffect
+ * @param {(source: string) => boolean} isExternal
+ */
+function getImportKind(source, isSideEffect, isExternal) {
+  if (isSideEffect) {
+    return 'side-effect'
+  }
+  if (ASSET_RE.test(source.toLowerCase())) {
+    return 'asset'
+  }
+  if (/^\.(\/(index(\.[^/]+)?)?)?$/.test(source)) {
+    return 'index'
+  }
+  if (/^\.\.(\/|$)/.test(source)) {
+    return 'parent'
+  }
+  if (source.startsWith('./')) {
+    return 'sibling'
+  }
+  if (isBuiltinModule(source)) {
+    return 'builtin'
+  }
+  return isExternal(source) ? 'external' : 'internal'
+}
+
+/**
+ * Creates a classifier that maps an import source to the index of the group it belongs to
+ * Side effect imports always stay in a group with the `side-effect` kind when there is one
+ * since moving them changes runtime behavior, otherwise `match` patterns take precedence over kinds
+ * and imports that match no group are put in an implicit group after all others
+ * @param {object} options
+ * @param {Array<string | { name: string, kinds?: string[], match?: string[] }>} [options.groups]
+ * @param {(source: string) => boolean} options.isExternal
+ */
+function createImportClassifier({ groups = DEFAULT_GROUPS, isExternal }) {
+  const compiledGroups = groups.map((group) =>
+    typeof group === 'string'
+      ? { name: IMPORT_KIND_NAMES[group], kinds: [group], matchers: [] }
+      : {
+          name: group.name,
+          kinds: group.kinds || [],
+          matchers: (group.match || []).map(compileMatcher),
+        }
+  )
+  const names = compiledGroups.map((group) => group.name).concat(UNMATCHED_GROUP_NAME)
+  const findGroupIdxByKind = (kind) => {
+    const idx = compiledGroups.findIndex((group) => group.kinds.includes(kind))
+    return idx === -1 ? compiledGroups.length : idx
+  }
+  const sideEffectGroupIdx = findGroupIdxByKind('side-effect')
+  const cache = new Map()
+
+  return {
+    /** Group names by index, the last one belongs to the implicit group of unmatched imports */
+    names,
+    /**
+     * @param {string} source
+     * @param {boolean} isSideEffect
+     * @returns {number}
+     */
+    getGroupIdx(source, isSideEffect) {
+      const cacheKey = `${isSideEffect}:${source}`
+      if (cache.has(cacheKey)) {
+        return cache.get(cacheKey)
+      }
+      let idx
+      if (isSideEffect && sideEffectGroupIdx !== compiledGroups.length) {
+        idx = sideEffectGroupIdx
+      } else {
+        idx = compiledGroups.findIndex((group) => group.matchers.some((match) => match(source)))
+        if (idx === -1) {
+          idx = findGroupIdxByKind(getImportKind(source, false, isExternal))
+        }
+      }
+      cache.set(cacheKey, idx)
+      return idx
+    },
+  }
+}
+
+module.exports = {
+  DEFAULT_GROUPS,
+  IMPORT_KINDS,
+  groupsSchema,
+  createImportClassifier,
+  getImportKind,
+  isBuiltinModule,
+}
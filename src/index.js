@@ -1,14 +1,116 @@
+const sortArrayValues = require('./sort-array-values')
+const sortClassMembers = require('./sort-class-members')
+const sortEnumMembers = require('./sort-enum-members')
+const sortExports = require('./sort-exports')
 const sortImports = require('./sort-imports')
+const sortJsxProps = require('./sort-jsx-props')
 const sortObjectKeys = require('./sort-object-keys')
 const sortPatternKeys = require('./sort-pattern-keys')
+const sortRequires = require('./sort-requires')
+const sortSwitchCases = require('./sort-switch-cases')
+const sortTypeKeys = require('./sort-type-keys')
+const sortUnionIntersectionMembers = require('./sort-union-intersection-members')
 
-/** @type {{ rules: Record<string, import('eslint').Rule.RuleModule> }} */
+const { name, version } = require('../package.json')
+
+const PLUGIN_NAME = '@ferdaber/sorting'
+
+const rules = {
+  'sort-array-values': sortArrayValues,
+  'sort-class-members': sortClassMembers,
+  'sort-enum-members': sortEnumMembers,
+  'sort-exports': sortExports,
+  'sort-imports': sortImports,
+  'sort-jsx-props': sortJsxProps,
+  'sort-object-keys': sortObjectKeys,
+  'sort-pattern-keys': sortPatternKeys,
+  'sort-requires': sortRequires,
+  'sort-switch-cases': sortSwitchCases,
+  'sort-type-keys': sortTypeKeys,
+  'sort-union-intersection-members': sortUnionIntersectionMembers
+}
+
+// the rules of each preset, the React and TypeScript presets extend the recommended one
+// which has every rule with `docs.recommended`
+const PRESET_RULE_NAMES = {
+  recommended: Object.keys(rules).filter(ruleName => rules[ruleName].meta.docs.recommended),
+  react: ['sort-jsx-props'],
+  typescript: ['sort-enum-members', 'sort-type-keys', 'sort-union-intersection-members']
+}
+
+/**
+ * Gets the rule settings of a preset, with every rule reported as an error
+ * @param {keyof typeof PRESET_RULE_NAMES} presetName
+ * @returns {Record<string, 'error'>}
+ */
+function getPresetRules(presetName) {
+  const ruleNames =
+    presetName === 'recommended'
+      ? PRESET_RULE_NAMES.recommended
+      : PRESET_RULE_NAMES.recommended.concat(PRESET_RULE_NAMES[presetName])
+  return ruleNames.reduce((presetRules, ruleName) => {
+    presetRules[`${PLUGIN_NAME}/${ruleName}`] = 'error'
+    return presetRules
+  }, {})
+}
+
+/** @type {{ meta: { name: string, version: string }, rules: Record<string, import('eslint').Rule.RuleModule>, configs: Record<string, any> }} */
 const plugin = {
-  rules: {
-    'sort-imports': sortImports,
-    'sort-object-keys': sortObjectKeys,
-    'sort-pattern-keys': sortPatternKeys
-  }
+  meta: {
+    name,
+    version
+  },
+  rules,
+  configs: {}
+}
+
+// presets for .eslintrc files refer to the plugin by name
+plugin.configs.recommended = {
+  plugins: [PLUGIN_NAME],
+  rules: getPresetRules('recommended')
+}
+plugin.configs.react = {
+  plugins: [PLUGIN_NAME],
+  parserOptions: {
+    ecmaFeatures: {
+      jsx: true
+    }
+  },
+  rules: getPresetRules('react')
+}
+plugin.configs.typescript = {
+  plugins: [PLUGIN_NAME],
+  rules: getPresetRules('typescript')
+}
+
+// presets for flat config files carry the plugin object itself
+plugin.configs['flat/recommended'] = {
+  name: `${PLUGIN_NAME}/recommended`,
+  plugins: {
+    [PLUGIN_NAME]: plugin
+  },
+  rules: getPresetRules('recommended')
+}
+plugin.configs['flat/react'] = {
+  name: `${PLUGIN_NAME}/react`,
+  plugins: {
+    [PLUGIN_NAME]: plugin
+  },
+  languageOptions: {
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true
+      }
+    }
+  },
+  rules: getPresetRules('react')
+}
+plugin.configs['flat/typescript'] = {
+  name: `${PLUGIN_NAME}/typescript`,
+  plugins: {
+    [PLUGIN_NAME]: plugin
+  },
+  rules: getPresetRules('typescript')
 }
 
 module.exports = plugin
@@ -0,0 +1,418 @@
+/**
+ * Determines whether import sources point to external packages, as seen from the file being linted.
+ * Resolution can be customized through the shared ESLint settings:
+ *  {
+ *    "settings": {
+ *      "@ferdaber/sorting": {
+ *        "resolver": {
+ *          "tsconfig": true,                // or a path to a tsconfig.json, for `paths` and `baseUrl`
+ *          "alias": { "@app": "./src" },    // webpack-style alias map
+ *          "workspaces": true               // or a list of package directory globs
+ *        }
+ *      }
+ *    }
+ *  }
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { globToRegExp } = require('./utils')
+
+const SETTINGS_KEY = '@ferdaber/sorting'
+
+const RESOLVABLE_EXTENSIONS = ['', '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.d.ts', '.json']
+
+// editors keep ESLint running while files change, so each cached value remembers the modification times
+// of the files and directories it was read from, and is read again once any of them changes
+/** @typedef {{ value: any, mtimes: Map<string, number> }} CacheEntry */
+/** @type {Map<string, CacheEntry>} */
+const tsconfigCache = new Map()
+/** @type {Map<string, CacheEntry>} */
+const workspacePackagesCache = new Map()
+/** @type {Map<string, CacheEntry>} */
+const installedPackagesCache = new Map()
+
+/**
+ * Parses JSON that may contain comments and trailing commas, like tsconfig.json files
+ * @param {string} text
+ */
+function parseLooseJson(text) {
+  let json = ''
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (char === '"') {
+      const start = i
+      for (i++; i < text.length && text[i] !== '"'; i++) {
+        if (text[i] === '\\') i++
+      }
+      json += text.slice(start, i + 1)
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++
+      json += '\n'
+    } else if (char === '/' && text[i + 1] === '*') {
+      i = text.indexOf('*/', i + 2)
+      i = i === -1 ? text.length : i + 1
+    } else {
+      json += char
+    }
+  }
+  return JSON.parse(json.replace(/,(\s*[}\]])/g, '$1'))
+}
+
+/**
+ * @param {string} filePath
+ * @returns {any}
+ */
+function readJson(filePath) {
+  try {
+    return parseLooseJson(fs.readFileSync(filePath, 'utf8'))
+  } catch (_) {
+    return null
+  }
+}
+
+/**
+ * Gets the modification time of a file or directory, or -1 if it does not exist
+ * @param {string} filePath
+ */
+function getMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs
+  } catch (_) {
+    return -1
+  }
+}
+
+/**
+ * Determines if none of the files and directories a cached value was read from have changed since
+ * @param {CacheEntry} entry
+ * @param {(filePath: string) => number} [readMtime]
+ */
+function isFresh(entry, readMtime = getMtime) {
+  return Array.from(entry.mtimes).every(([filePath, mtime]) => readMtime(filePath) === mtime)
+}
+
+/**
+ * Finds the closest file with the given name in the directory or any of its ancestors
+ * @param {string} dir
+ * @param {string} fileName
+ * @returns {string | null}
+ */
+function findNearestFile(dir, fileName) {
+  const filePath = path.join(dir, fileName)
+  const parentDir = path.dirname(dir)
+  return fs.existsSync(filePath)
+    ? filePath
+    : parentDir !== dir
+    ? findNearestFile(parentDir, fileName)
+    : null
+}
+
+/**
+ * Determines if a path, tried with the usual module extensions and as a directory, exists
+ * @param {string} filePath
+ */
+function isResolvablePath(filePath) {
+  return RESOLVABLE_EXTENSIONS.some((ext) => fs.existsSync(filePath + ext))
+}
+
+/**
+ * Determines if a resolved path lives in node_modules
+ * @param {string} filePath
+ */
+function isInNodeModules(filePath) {
+  return filePath.split(/[\\/]/).includes('node_modules')
+}
+
+/**
+ * Gets the package name of a bare import source
+ * '@scope/pkg/sub/path' -> '@scope/pkg', 'pkg/sub/path' -> 'pkg'
+ * @param {string} source
+ */
+function getPackageName(source) {
+  const segments = source.split('/')
+  return source.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0]
+}
+
+/**
+ * Determines if a package is installed in a node_modules directory of the given directory or its ancestors
+ * Installing or removing a package changes the directory holding it, which is either node_modules
+ * or the directory of its scope, so those are the directories the cached value depends on
+ * @param {string} dir
+ * @param {string} packageName
+ * @param {(filePath: string) => number} readMtime
+ * @returns {boolean}
+ */
+function isPackageInstalled(dir, packageName, readMtime) {
+  const cacheKey = `${dir}\0${packageName}`
+  const cached = installedPackagesCache.get(cacheKey)
+  if (cached && isFresh(cached, readMtime)) {
+    return cached.value
+  }
+  const scope = packageName.startsWith('@') ? packageName.split('/')[0] : null
+  /** @type {Map<string, number>} */
+  const mtimes = new Map()
+  let installed = false
+  let curDir = dir
+  for (;;) {
+    const nodeModulesDir = path.join(curDir, 'node_modules')
+    const scopeDir = scope && path.join(nodeModulesDir, scope)
+    const holdingDir = scopeDir && readMtime(scopeDir) !== -1 ? scopeDir : nodeModulesDir
+    mtimes.set(holdingDir, readMtime(holdingDir))
+    if (fs.existsSync(path.join(nodeModulesDir, packageName))) {
+      installed = true
+      break
+    }
+    const parentDir = path.dirname(curDir)
+    if (parentDir === curDir) {
+      break
+    }
+    curDir = parentDir
+  }
+  installedPackagesCache.set(cacheKey, { value: installed, mtimes })
+  return installed
+}
+
+/**
+ * Loads a tsconfig.json file along with the configs it extends
+ * @param {string} tsconfigPath
+ * @returns {CacheEntry & { value: { baseUrl?: string, paths: Record<string, string[]> } | null }}
+ */
+function loadTsconfig(tsconfigPath) {
+  const cached = tsconfigCache.get(tsconfigPath)
+  if (cached && isFresh(cached)) {
+    return cached
+  }
+  // guards against circular `extends`
+  tsconfigCache.set(tsconfigPath, { value: null, mtimes: new Map() })
+  const mtimes = new Map([[tsconfigPath, getMtime(tsconfigPath)]])
+  const config = readJson(tsconfigPath)
+  let tsconfig = null
+  if (config) {
+    const configDir = path.dirname(tsconfigPath)
+    let parent = null
+    if (typeof config.extends === 'string' && config.extends.startsWith('.')) {
+      const parentEntry = loadTsconfig(
+        path.resolve(
+          configDir,
+          config.extends.endsWith('.json') ? config.extends : `${config.extends}.json`
+        )
+      )
+      parentEntry.mtimes.forEach((mtime, filePath) => mtimes.set(filePath, mtime))
+      parent = parentEntry.value
+    }
+    const compilerOptions = config.compilerOptions || {}
+    const baseUrl = compilerOptions.baseUrl
+      ? path.resolve(configDir, compilerOptions.baseUrl)
+      : parent && parent.baseUrl
+    tsconfig = {
+      baseUrl,
+      paths: compilerOptions.paths || (parent ? parent.paths : {}),
+    }
+  }
+  const entry = { value: tsconfig, mtimes }
+  tsconfigCache.set(tsconfigPath, entry)
+  return entry
+}
+
+/**
+ * Gets the targets a tsconfig `paths` entry maps an import source to, if any
+ * @param {Record<string, string[]>} paths
+ * @param {string} source
+ * @returns {string[] | null}
+ */
+function getTsconfigPathTargets(paths, source) {
+  for (const pattern of Object.keys(paths)) {
+    const [prefix, suffix] = pattern.split('*')
+    if (suffix === undefined) {
+      if (pattern === source) {
+        return paths[pattern]
+      }
+    } else if (
+      source.length >= prefix.length + suffix.length &&
+      source.startsWith(prefix) &&
+      source.endsWith(suffix)
+    ) {
+      const wildcard = source.slice(prefix.length, source.length - suffix.length)
+      return paths[pattern].map((target) => target.replace('*', wildcard))
+    }
+  }
+  return null
+}
+
+/**
+ * Gets the target a webpack-style alias maps an import source to, if any
+ * Keys ending with `$` only match the exact source
+ * @param {Record<string, string>} alias
+ * @param {string} source
+ * @returns {string | null}
+ */
+function getAliasTarget(alias, source) {
+  for (const key of Object.keys(alias)) {
+    if (key.endsWith('$')) {
+      if (source === key.slice(0, -1)) {
+        return alias[key]
+      }
+    } else if (source === key || source.startsWith(`${key}/`)) {
+      return alias[key] + source.slice(key.length)
+    }
+  }
+  return null
+}
+
+/**
+ * Expands package directory globs like 'packages/*' relative to a root directory
+ * @param {string} rootDir
+ * @param {string} glob
+ * @param {Map<string, number>} mtimes collects the modification times of the directories that are read
+ * @returns {string[]}
+ */
+function expandDirectoryGlob(rootDir, glob, mtimes) {
+  return glob
+    .split('/')
+    .filter(Boolean)
+    .reduce(
+      (dirs, segment) =>
+        [].concat(
+          ...dirs.map((dir) => {
+            if (!/[*?]/.test(segment)) {
+              return [path.join(dir, segment)]
+            }
+            const re = globToRegExp(segment)
+            mtimes.set(dir, getMtime(dir))
+            try {
+              return fs
+                .readdirSync(dir, { withFileTypes: true })
+                .filter((entry) => entry.isDirectory() && entry.name !== 'node_modules')
+                .filter((entry) => re.test(entry.name))
+                .map((entry) => path.join(dir, entry.name))
+            } catch (_) {
+              return []
+            }
+          })
+        ),
+      [rootDir]
+    )
+}
+
+/**
+ * Collects the names of all packages in a workspace
+ * @param {string} rootDir
+ * @param {string[]} globs
+ * @returns {Set<string>}
+ */
+function getWorkspacePackages(rootDir, globs) {
+  const cacheKey = `${rootDir}\0${globs.join('\0')}`
+  const cached = workspacePackagesCache.get(cacheKey)
+  if (cached && isFresh(cached)) {
+    return cached.value
+  }
+  const names = new Set()
+  /** @type {Map<string, number>} */
+  const mtimes = new Map()
+  globs.forEach((glob) =>
+    expandDirectoryGlob(rootDir, glob, mtimes).forEach((dir) => {
+      const packageJsonPath = path.join(dir, 'package.json')
+      mtimes.set(packageJsonPath, getMtime(packageJsonPath))
+      const pkg = readJson(packageJsonPath)
+      if (pkg && pkg.name) {
+        names.add(pkg.name)
+      }
+    })
+  )
+  workspacePackagesCache.set(cacheKey, { value: names, mtimes })
+  return names
+}
+
+/**
+ * Finds the packages of the workspace the linted file belongs to
+ * `true` reads the `workspaces` field of the closest package.json declaring one
+ * @param {string} fileDir
+ * @param {true | string[]} workspaces
+ * @returns {Set<string>}
+ */
+function findWorkspacePackages(fileDir, workspaces) {
+  if (Array.isArray(workspaces)) {
+    return getWorkspacePackages(process.cwd(), workspaces)
+  }
+  let rootPackageJson = findNearestFile(fileDir, 'package.json')
+  while (rootPackageJson && !(readJson(rootPackageJson) || {}).workspaces) {
+    const parentDir = path.dirname(path.dirname(rootPackageJson))
+    rootPackageJson =
+      parentDir !== path.dirname(rootPackageJson)
+        ? findNearestFile(parentDir, 'package.json')
+        : null
+  }
+  if (!rootPackageJson) {
+    return new Set()
+  }
+  const { workspaces: globs } = readJson(rootPackageJson)
+  return getWorkspacePackages(
+    path.dirname(rootPackageJson),
+    Array.isArray(globs) ? globs : globs.packages || []
+  )
+}
+
+/**
+ * Creates a function that determines if an import source of the linted file points to an external package
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {(source: string) => boolean}
+ */
+function createExternalResolver(context) {
+  const settings = (context.settings && context.settings[SETTINGS_KEY]) || {}
+  const resolverSettings = settings.resolver || {}
+  const filename = context.getFilename()
+  // linting text without a file name (e.g. from stdin) resolves from the working directory
+  const fileDir = path.isAbsolute(filename) ? path.dirname(filename) : process.cwd()
+
+  let tsconfig = null
+  if (resolverSettings.tsconfig) {
+    const tsconfigPath =
+      typeof resolverSettings.tsconfig === 'string'
+        ? path.resolve(process.cwd(), resolverSettings.tsconfig)
+        : findNearestFile(fileDir, 'tsconfig.json')
+    tsconfig = tsconfigPath && loadTsconfig(tsconfigPath).value
+  }
+  const alias = resolverSettings.alias || {}
+  const workspacePackages = resolverSettings.workspaces
+    ? findWorkspacePackages(fileDir, resolverSettings.workspaces)
+    : new Set()
+  // the imports of a file are resolved together, so each directory only needs to be checked once for them
+  /** @type {Map<string, number>} */
+  const mtimes = new Map()
+  const readMtime = (filePath) => {
+    if (!mtimes.has(filePath)) {
+      mtimes.set(filePath, getMtime(filePath))
+    }
+    return mtimes.get(filePath)
+  }
+
+  return (source) => {
+    if (source.startsWith('.') || path.isAbsolute(source)) {
+      return false
+    }
+    const aliasTarget = getAliasTarget(alias, source)
+    if (aliasTarget != null) {
+      return isInNodeModules(aliasTarget)
+    }
+    if (tsconfig) {
+      const targets = getTsconfigPathTargets(tsconfig.paths, source)
+      if (targets) {
+        return targets.every(isInNodeModules)
+      }
+      if (tsconfig.baseUrl && isResolvablePath(path.join(tsconfig.baseUrl, source))) {
+        return false
+      }
+    }
+    const packageName = getPackageName(source)
+    if (workspacePackages.has(packageName)) {
+      return false
+    }
+    return isPackageInstalled(fileDir, packageName, readMtime)
+  }
+}
+
+module.exports = {
+  createExternalResolver,
+  getPackageName,
+}
@@ -0,0 +1,255 @@
+const {
+  getSorter,
+  chainSorters,
+  compareNodePositions,
+  getSortedText,
+  getNameComparator,
+  comparatorSchemaProperties,
+  getExpressionSortName,
+  mayHaveSideEffects,
+  globToRegExp,
+  parseRegExp,
+  reportProblems,
+  getCommentedRange
+} = require('./utils')
+
+// expressions that wrap an array without changing its value, like `[...] as const`
+const WRAPPER_TYPES = [
+  'TSAsExpression',
+  'TSSatisfiesExpression',
+  'TSTypeAssertion',
+  'TypeCastExpression'
+]
+
+/**
+ * Turns a name pattern into a predicate, strings wrapped in slashes are treated as regular expressions
+ * and other strings as globs, like 'PropTypes.oneOf' or '*_ROLES'
+ * @param {string} pattern
+ * @returns {(name: string) => boolean}
+ */
+function compileNamePattern(pattern) {
+  const re = parseRegExp(pattern) || globToRegExp(pattern)
+  return name => re.test(name)
+}
+
+/**
+ * @param {import('babel-types').Expression} node
+ */
+function isStringOrNumberLiteral(node) {
+  return (
+    ((node.type === 'Literal' || node.type === 'StringLiteral' || node.type === 'NumericLiteral') &&
+      (typeof node.value === 'string' || typeof node.value === 'number')) ||
+    (node.type === 'TemplateLiteral' && !node.expressions.length)
+  )
+}
+
+/**
+ * Gets the outermost expression that has the value of an array
+ * @param {import('babel-types').ArrayExpression} node
+ */
+function getUnwrappedArray(node) {
+  let expression = node
+  while (WRAPPER_TYPES.includes(expression.parent.type)) {
+    expression = expression.parent
+  }
+  return expression
+}
+
+/**
+ * Gets the name an array is assigned to, if any
+ * const ROLES = [...] -> 'ROLES', module.exports.plugins = [...] -> 'module.exports.plugins',
+ * { plugins: [...] } -> 'plugins'
+ * @param {import('babel-types').ArrayExpression} node
+ * @returns {string | undefined}
+ */
+function getAssignedName(node) {
+  const expression = getUnwrappedArray(node)
+  const parent = expression.parent
+  if (parent.type === 'VariableDeclarator' && parent.init === expression) {
+    return getExpressionSortName(parent.id) || undefined
+  }
+  if (parent.type === 'AssignmentExpression' && parent.right === expression) {
+    return getExpressionSortName(parent.left) || undefined
+  }
+  if (
+    (parent.type === 'Property' ||
+      parent.type === 'ObjectProperty' ||
+      parent.type === 'ClassProperty' ||
+      parent.type === 'PropertyDefinition') &&
+    parent.value === expression
+  ) {
+    return getExpressionSortName(parent.key) || undefined
+  }
+  return undefined
+}
+
+/**
+ * Gets the name of the function an array is directly passed to, if any
+ * PropTypes.oneOf([...]) -> 'PropTypes.oneOf'
+ * @param {import('babel-types').ArrayExpression} node
+ * @returns {string | undefined}
+ */
+function getCalleeName(node) {
+  const expression = getUnwrappedArray(node)
+  const parent = expression.parent
+  return (parent.type === 'CallExpression' || parent.type === 'NewExpression') &&
+    parent.arguments.includes(expression)
+    ? getExpressionSortName(parent.callee) || undefined
+    : undefined
+}
+
+/**
+ * Determines if an array is marked with a `/* sorted *\/` comment, right before it
+ * or before the declaration, assignment or property it is the value of
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').ArrayExpression} node
+ */
+function hasSortedComment(source, node) {
+  const expression = getUnwrappedArray(node)
+  const commentedNodes = [node, expression]
+  const parent = expression.parent
+  if (parent.type === 'VariableDeclarator') {
+    commentedNodes.push(parent.parent)
+    if (parent.parent.parent.type === 'ExportNamedDeclaration') {
+      commentedNodes.push(parent.parent.parent)
+    }
+  } else if (parent.type === 'AssignmentExpression') {
+    commentedNodes.push(parent.parent)
+  } else if (parent.type !== 'CallExpression' && parent.type !== 'NewExpression') {
+    commentedNodes.push(parent)
+  }
+  return commentedNodes.some(commentedNode =>
+    source.getCommentsBefore(commentedNode).some(comment => /^\s*sorted\s*$/.test(comment.value))
+  )
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const rule = {
+  meta: {
+    docs: {
+      category: 'Stylistic Issues',
+      description: 'Enforce sorted values in opted-in array literals',
+      recommended: false
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...comparatorSchemaProperties,
+          names: {
+            type: 'array',
+            items: {
+              type: 'string'
+            }
+          },
+          callees: {
+            type: 'array',
+            items: {
+              type: 'string'
+            }
+          },
+          fix: {
+            type: 'boolean'
+          }
+        }
+      }
+    ]
+  },
+  create(context) {
+    const options = context.options[0] || {}
+    const { fix = false, names = [], callees = [] } = options
+    const nameMatchers = names.map(compileNamePattern)
+    const calleeMatchers = callees.map(compileNamePattern)
+    const compareNames = getNameComparator(options)
+    const source = context.getSourceCode()
+    // literals are sorted by their values, with numbers before strings and compared numerically,
+    // other values by their text
+    const getElementSortName = element =>
+      isStringOrNumberLiteral(element)
+        ? typeof element.value === 'number'
+          ? element.value
+          : getExpressionSortName(element)
+        : source.getText(element)
+    const elementSorter = chainSorters(
+      getSorter(element => (typeof element.value === 'number' ? 0 : 1)),
+      getSorter(getElementSortName, compareNames),
+      getSorter(getElementSortName),
+      compareNodePositions
+    )
+
+    /**
+     * Determines if the rule applies to an array, which is opted in by a comment, by the name it is
+     * assigned to, or by being an array of literals passed to a function
+     * @param {import('babel-types').ArrayExpression} node
+     */
+    function isOptedIn(node) {
+      if (hasSortedComment(source, node)) {
+        return true
+      }
+      const assignedName = getAssignedName(node)
+      if (assignedName && nameMatchers.some(match => match(assignedName))) {
+        return true
+      }
+      const calleeName = getCalleeName(node)
+      return (
+        !!calleeName &&
+        calleeMatchers.some(match => match(calleeName)) &&
+        node.elements.every(element => element && isStringOrNumberLiteral(element))
+      )
+    }
+
+    return {
+      /** @param {import('babel-types').ArrayExpression} node */
+      ArrayExpression(node) {
+        if (node.elements.length < 2 || !isOptedIn(node)) return
+        // holes and spreads cannot be moved, and elements with side effects are evaluated in order
+        if (
+          node.elements.some(
+            element =>
+              !element ||
+              element.type === 'SpreadElement' ||
+              element.type === 'SpreadProperty' ||
+              mayHaveSideEffects(element)
+          )
+        ) {
+          return
+        }
+        const problems = []
+        let lastUnsortedElement
+        node.elements.reduce((prevElement, curElement) => {
+          if (elementSorter(prevElement, curElement) > 0) {
+            lastUnsortedElement = curElement
+            problems.push({
+              node: curElement,
+              message: 'Expected {{a}} to be before {{b}}.',
+              data: {
+                a: source.getText(curElement),
+                b: source.getText(prevElement)
+              }
+            })
+          }
+          return curElement
+        })
+        reportProblems(
+          context,
+          problems,
+          fix,
+          'Sort the array values.',
+          lastUnsortedElement && {
+            node: lastUnsortedElement,
+            message: 'Expected array values to be sorted.',
+            fix(fixer) {
+              return fixer.replaceTextRange(
+                getCommentedRange(source, node.elements),
+                getSortedText(source, node.elements, elementSorter)
+              )
+            }
+          }
+        )
+      }
+    }
+  }
+}
+module.exports = rule
@@ -0,0 +1,389 @@
+const {
+  getSorter,
+  chainSorters,
+  compareNodePositions,
+  getSortedText,
+  getNameComparator,
+  comparatorSchemaProperties,
+  getExpressionSortName,
+  hasSideEffectingKey,
+  reportProblems,
+  getCommentedRange,
+  getMemberWithoutSeparator
+} = require('./utils')
+
+const MEMBER_CATEGORIES = [
+  'static-property',
+  'static-method',
+  'property',
+  'constructor',
+  'lifecycle',
+  'accessor',
+  'private',
+  'method'
+]
+
+const MEMBER_CATEGORY_NAMES = {
+  'static-property': 'static property',
+  'static-method': 'static method',
+  property: 'property',
+  constructor: 'constructor',
+  lifecycle: 'lifecycle method',
+  accessor: 'accessor',
+  private: 'private member',
+  method: 'method'
+}
+
+const DEFAULT_ORDER = [
+  'static-property',
+  'static-method',
+  'property',
+  'constructor',
+  'lifecycle',
+  'accessor',
+  'private',
+  'method'
+]
+
+// React class component methods, in the order they are called
+const DEFAULT_LIFECYCLE_METHODS = [
+  'getDefaultProps',
+  'getInitialState',
+  'getChildContext',
+  'getDerivedStateFromProps',
+  'componentWillMount',
+  'UNSAFE_componentWillMount',
+  'componentDidMount',
+  'componentWillReceiveProps',
+  'UNSAFE_componentWillReceiveProps',
+  'shouldComponentUpdate',
+  'componentWillUpdate',
+  'UNSAFE_componentWillUpdate',
+  'getSnapshotBeforeUpdate',
+  'componentDidUpdate',
+  'getDerivedStateFromError',
+  'componentDidCatch',
+  'componentWillUnmount',
+  'render'
+]
+
+const MEMBER_TYPES = [
+  'MethodDefinition',
+  'ClassMethod',
+  'ClassPrivateMethod',
+  'TSAbstractMethodDefinition',
+  'ClassProperty',
+  'ClassPrivateProperty',
+  'PropertyDefinition',
+  'TSAbstractClassProperty',
+  'TSAbstractPropertyDefinition'
+]
+
+/**
+ * @param {import('babel-types').ClassMethod | import('babel-types').ClassProperty} member
+ */
+function isMethod(member) {
+  return /Method/.test(member.type)
+}
+
+/**
+ * @param {import('babel-types').ClassMethod | import('babel-types').ClassProperty} member
+ */
+function getMemberName(member) {
+  return getExpressionSortName(member.key)
+}
+
+/**
+ * Gets the category of a class member, the first one that applies of:
+ * constructor() {} -> 'constructor'
+ * render() {} -> 'lifecycle'
+ * #count = 0 -> 'private'
+ * static defaultProps = {} -> 'static-property'
+ * static create() {} -> 'static-method'
+ * get value() {} / set value(value) {} -> 'accessor'
+ * state = {} -> 'property'
+ * handleClick() {} -> 'method'
+ * @param {import('babel-types').ClassMethod | import('babel-types').ClassProperty} member
+ * @param {string[]} lifecycleMethods
+ */
+function getMemberCategory(member, lifecycleMethods) {
+  if (member.kind === 'constructor') {
+    return 'constructor'
+  }
+  const name = getMemberName(member)
+  if (isMethod(member) && member.kind === 'method' && lifecycleMethods.includes(name)) {
+    return 'lifecycle'
+  }
+  if (name.startsWith('#')) {
+    return 'private'
+  }
+  if (member.static) {
+    return isMethod(member) ? 'static-method' : 'static-property'
+  }
+  if (member.kind === 'get' || member.kind === 'set') {
+    return 'accessor'
+  }
+  return isMethod(member) ? 'method' : 'property'
+}
+
+/**
+ * Splits the members of a class body into the spans that can be sorted independently,
+ * static blocks, members with side effecting computed keys and unknown members are never moved
+ * @param {import('babel-types').ClassBody} node
+ * @returns {Array<Array<import('babel-types').ClassMethod | import('babel-types').ClassProperty>>}
+ */
+function getMemberSpansOfClassBody(node) {
+  let memberSpan = []
+  return node.body.reduce((memberSpans, member, idx) => {
+    if (!MEMBER_TYPES.includes(member.type) || hasSideEffectingKey(member)) {
+      if (memberSpan.length) {
+        memberSpans.push(memberSpan)
+        memberSpan = []
+      }
+    } else {
+      memberSpan.push(member)
+    }
+    if (memberSpan.length && idx === node.body.length - 1) {
+      memberSpans.push(memberSpan)
+    }
+    return memberSpans
+  }, [])
+}
+
+/**
+ * Collects the names of the members that a field initializer reads while the class is being set up
+ * through `this.name`, or `ClassName.name` for static fields
+ * References inside functions are skipped since they are only read when the function is called
+ * @param {import('babel-types').Node} node
+ * @param {string | undefined} className
+ * @param {Record<string, string[]>} visitorKeys
+ * @param {Set<string>} [names]
+ */
+function getReferencedMemberNames(node, className, visitorKeys, names = new Set()) {
+  if (
+    /Function/.test(node.type) ||
+    node.type === 'ClassExpression' ||
+    node.type === 'ClassDeclaration'
+  ) {
+    return names
+  }
+  if (
+    (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') &&
+    (node.object.type === 'ThisExpression' ||
+      (className && node.object.type === 'Identifier' && node.object.name === className))
+  ) {
+    names.add(getExpressionSortName(node.property))
+  }
+  ;(visitorKeys[node.type] || []).forEach(key => {
+    ;[].concat(node[key] || []).forEach(child => {
+      if (child && typeof child.type === 'string') {
+        getReferencedMemberNames(child, className, visitorKeys, names)
+      }
+    })
+  })
+  return names
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const rule = {
+  meta: {
+    docs: {
+      category: 'ECMAScript 6',
+      description: 'Enforce sorted members in class bodies',
+      recommended: true
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...comparatorSchemaProperties,
+          order: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: MEMBER_CATEGORIES
+            },
+            uniqueItems: true
+          },
+          lifecycleMethods: {
+            type: 'array',
+            items: {
+              type: 'string'
+            },
+            uniqueItems: true
+          },
+          fix: {
+            type: 'boolean'
+          }
+        }
+      }
+    ]
+  },
+  create(context) {
+    const options = context.options[0] || {}
+    const {
+      fix = false,
+      order = DEFAULT_ORDER,
+      lifecycleMethods = DEFAULT_LIFECYCLE_METHODS
+    } = options
+    const compareNames = getNameComparator(options)
+    const source = context.getSourceCode()
+
+    const getCategory = member => getMemberCategory(member, lifecycleMethods)
+    // categories that are not listed in the `order` option come after the listed ones
+    const getCategoryRank = member =>
+      order.indexOf(getCategory(member)) === -1 ? order.length : order.indexOf(getCategory(member))
+    // lifecycle methods are in the order they are called instead of alphabetical order
+    const memberSorter = chainSorters(
+      getSorter(getCategoryRank),
+      getSorter(member =>
+        getCategory(member) === 'lifecycle' ? lifecycleMethods.indexOf(getMemberName(member)) : 0
+      ),
+      getSorter(getMemberName, compareNames),
+      getSorter(getMemberName),
+      compareNodePositions
+    )
+
+    /**
+     * Finds a field that would be moved across a field its initializer reads, if any
+     * @param {Array<import('babel-types').ClassMethod | import('babel-types').ClassProperty>} span
+     * @param {string | undefined} className
+     * @returns {[import('babel-types').ClassProperty, import('babel-types').ClassProperty] | undefined}
+     */
+    function findMovedDependentField(span, className) {
+      const fields = span.filter(member => !isMethod(member))
+      const sortedSpan = span.slice().sort(memberSorter)
+      const isBefore = (nodes, a, b) => nodes.indexOf(a) < nodes.indexOf(b)
+      let movedDependency
+      fields.some(field => {
+        if (!field.value) return false
+        const referencedNames = getReferencedMemberNames(
+          field.value,
+          field.static ? className : undefined,
+          source.visitorKeys
+        )
+        const dependency = fields.find(
+          otherField =>
+            otherField !== field &&
+            !!otherField.static === !!field.static &&
+            referencedNames.has(getMemberName(otherField)) &&
+            isBefore(span, otherField, field) !== isBefore(sortedSpan, otherField, field)
+        )
+        movedDependency = dependency && [field, dependency]
+        return !!dependency
+      })
+      return movedDependency
+    }
+
+    /**
+     * Finds a member that the sorted order would put right before a member that continues its last expression,
+     * since there is no semicolon between them to end it
+     * a = 2 followed by ['b'] = 1 on the next line is read as a single field, a = 2['b'] = 1
+     * @param {Array<import('babel-types').ClassMethod | import('babel-types').ClassProperty>} trimmedSpan
+     *   the members without their semicolons, which stay in place
+     * @returns {import('babel-types').ClassMethod | import('babel-types').ClassProperty | undefined}
+     */
+    function findUnterminatedMember(trimmedSpan) {
+      const sortedSpan = trimmedSpan.slice().sort(memberSorter)
+      return sortedSpan.find((member, idx) => {
+        // methods with a body end with the body, anything else can be continued
+        if (isMethod(member) && source.getLastToken(member).value === '}') return false
+        const originalMember = trimmedSpan[idx]
+        const tokenAfter = source.getTokenAfter(originalMember)
+        if (!tokenAfter || tokenAfter.value === ';' || tokenAfter.value === '}') return false
+        const nextToken =
+          idx < sortedSpan.length - 1 ? source.getFirstToken(sortedSpan[idx + 1]) : tokenAfter
+        return (
+          !/\n|\r|\u2028|\u2029/.test(
+            source.getText().slice(originalMember.range[1], tokenAfter.range[0])
+          ) ||
+          ['[', '(', '*'].includes(nextToken.value) ||
+          ['String', 'Numeric', 'Template'].includes(nextToken.type)
+        )
+      })
+    }
+
+    return {
+      /** @param {import('babel-types').ClassBody} node */
+      ClassBody(node) {
+        if (node.body.length < 2) return
+        const className = node.parent.id ? node.parent.id.name : undefined
+        getMemberSpansOfClassBody(node).forEach(span => {
+          if (span.length < 2) return
+          const problems = []
+          let lastUnsortedMember
+          span.reduce((prevMember, curMember) => {
+            if (memberSorter(prevMember, curMember) > 0) {
+              lastUnsortedMember = curMember
+              const curCategory = getCategory(curMember)
+              const prevCategory = getCategory(prevMember)
+              problems.push({
+                node: curMember,
+                message:
+                  curCategory === prevCategory
+                    ? "Expected '{{a}}' to be before '{{b}}'."
+                    : "Expected {{categoryA}} '{{a}}' to be before {{categoryB}} '{{b}}'.",
+                data: {
+                  a: getMemberName(curMember),
+                  b: getMemberName(prevMember),
+                  categoryA: MEMBER_CATEGORY_NAMES[curCategory],
+                  categoryB: MEMBER_CATEGORY_NAMES[prevCategory]
+                }
+              })
+            }
+            return curMember
+          })
+          if (!lastUnsortedMember) return
+          // fields are initialized in order, so moving one across a field it reads changes its value
+          const movedDependentField = findMovedDependentField(span, className)
+          if (movedDependentField) {
+            problems.forEach(problem => context.report(problem))
+            // like the report carrying the fix, the reason the members are not fixed is only reported with `fix`
+            if (fix) {
+              context.report({
+                node: movedDependentField[0],
+                message:
+                  "Expected class members to be sorted, but '{{a}}' is initialized from '{{b}}' and cannot be moved across it.",
+                data: {
+                  a: getMemberName(movedDependentField[0]),
+                  b: getMemberName(movedDependentField[1])
+                }
+              })
+            }
+            return
+          }
+          // semicolons stay in place, so a member without one may be read together with the member moved after it
+          const trimmedSpan = span.map(member => getMemberWithoutSeparator(source, member))
+          const unterminatedMember = findUnterminatedMember(trimmedSpan)
+          if (unterminatedMember) {
+            problems.forEach(problem => context.report(problem))
+            if (fix) {
+              context.report({
+                node: span[trimmedSpan.indexOf(unterminatedMember)],
+                message:
+                  "Expected class members to be sorted, but '{{a}}' needs a semicolon to be moved.",
+                data: {
+                  a: getMemberName(unterminatedMember)
+                }
+              })
+            }
+            return
+          }
+          reportProblems(context, problems, fix, 'Sort the class members.', {
+            node: lastUnsortedMember,
+            message: 'Expected class members to be sorted.',
+            fix(fixer) {
+              return fixer.replaceTextRange(
+                getCommentedRange(source, trimmedSpan),
+                getSortedText(source, trimmedSpan, memberSorter)
+              )
+            }
+          })
+        })
+      }
+    }
+  }
+}
+module.exports = rule
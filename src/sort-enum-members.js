@@ -0,0 +1,133 @@
+const {
+  getSorter,
+  chainSorters,
+  compareNodePositions,
+  getSortedText,
+  getNameComparator,
+  comparatorSchemaProperties,
+  getExpressionSortName,
+  reportProblems,
+  getCommentedRange
+} = require('./utils')
+
+/**
+ * Collects the names of the identifiers in an enum member initializer,
+ * which may refer to other members either directly or through the enum
+ * enum Flags { Read = 1, Write = 2, All = Read | Flags.Write } -> 'Read', 'Flags', 'Write'
+ * @param {import('babel-types').Node} node
+ * @param {Record<string, string[]>} visitorKeys
+ * @param {Set<string>} [names]
+ */
+function getIdentifierNames(node, visitorKeys, names = new Set()) {
+  if (node.type === 'Identifier') {
+    names.add(node.name)
+  }
+  ;(visitorKeys[node.type] || []).forEach(key => {
+    ;[].concat(node[key] || []).forEach(child => {
+      if (child && typeof child.type === 'string') {
+        getIdentifierNames(child, visitorKeys, names)
+      }
+    })
+  })
+  return names
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const rule = {
+  meta: {
+    docs: {
+      category: 'Stylistic Issues',
+      description: 'Enforce sorted members in TypeScript enums',
+      recommended: false
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...comparatorSchemaProperties,
+          allowImplicitValues: {
+            type: 'boolean'
+          },
+          fix: {
+            type: 'boolean'
+          }
+        }
+      }
+    ]
+  },
+  create(context) {
+    const options = context.options[0] || {}
+    const { fix = false, allowImplicitValues = false } = options
+    const compareNames = getNameComparator(options)
+    const source = context.getSourceCode()
+    const getMemberName = member => getExpressionSortName(member.id)
+    const memberSorter = chainSorters(
+      getSorter(getMemberName, compareNames),
+      getSorter(getMemberName),
+      compareNodePositions
+    )
+
+    return {
+      /** @param {any} node */
+      TSEnumDeclaration(node) {
+        if (node.members.length < 2) return
+        // members without initializers are numbered in order, so sorting them changes their values
+        if (!allowImplicitValues && node.members.some(member => !member.initializer)) return
+        const problems = []
+        let lastUnsortedMember
+        node.members.reduce((prevMember, curMember) => {
+          if (memberSorter(prevMember, curMember) > 0) {
+            lastUnsortedMember = curMember
+            problems.push({
+              node: curMember,
+              message: "Expected '{{a}}' to be before '{{b}}'.",
+              data: {
+                a: getMemberName(curMember),
+                b: getMemberName(prevMember)
+              }
+            })
+          }
+          return curMember
+        })
+        if (!lastUnsortedMember) return
+        // members can only refer to the members declared before them
+        const memberNames = new Set(node.members.map(getMemberName))
+        const dependentMember = node.members.find(
+          member =>
+            member.initializer &&
+            Array.from(getIdentifierNames(member.initializer, source.visitorKeys)).some(
+              name => name !== getMemberName(member) && memberNames.has(name)
+            )
+        )
+        if (dependentMember) {
+          problems.forEach(problem => context.report(problem))
+          // like the report carrying the fix, the reason the members are not fixed is only reported with `fix`
+          if (fix) {
+            context.report({
+              node: dependentMember,
+              message:
+                "Expected enum members to be sorted, but '{{a}}' is initialized from other members and cannot be moved.",
+              data: {
+                a: getMemberName(dependentMember)
+              }
+            })
+          }
+          return
+        }
+        reportProblems(context, problems, fix, 'Sort the enum members.', {
+          node: lastUnsortedMember,
+          message: 'Expected enum members to be sorted.',
+          fix(fixer) {
+            return fixer.replaceTextRange(
+              getCommentedRange(source, node.members),
+              getSortedText(source, node.members, memberSorter)
+            )
+          }
+        })
+      }
+    }
+  }
+}
+module.exports = rule
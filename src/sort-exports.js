@@ -0,0 +1,257 @@
+/**
+ * Sorts contiguous re-export declarations of a module (like in barrel files) by their source,
+ * using the same groups as import declarations:
+ *  export * from 'react-router'
+ *
+ *  export { default as App } from './my-app-wrapper'
+ *  export { Footer, Header } from './layout'
+ */
+
+const {
+  getSorter,
+  chainSorters,
+  compareNodePositions,
+  getNameComparator,
+  comparatorSchemaProperties,
+  getCommentedText,
+  getSortedText,
+  getCommentedRange,
+  getExpressionSortName,
+  reportProblems,
+} = require('./utils')
+const { createImportClassifier, groupsSchema } = require('./import-groups')
+const { createExternalResolver } = require('./resolve')
+
+/**
+ * Determines if a statement re-exports bindings from another module
+ * @param {import('babel-types').Statement} node
+ */
+function isReExport(node) {
+  return (
+    node.type === 'ExportAllDeclaration' ||
+    (node.type === 'ExportNamedDeclaration' && !!node.source)
+  )
+}
+
+/**
+ * Gets the sortable name of an export specifier, which is its name in the module it comes from
+ * export { Button as PrimaryButton } from 'buttons' -> 'Button'
+ * @param {import('babel-types').ExportSpecifier} node
+ */
+function getExportSpecifierSortName(node) {
+  return getExpressionSortName(node.local)
+}
+
+/**
+ * Splits the statements of a module into contiguous runs of re-export declarations
+ * @param {import('babel-types').Program} program
+ * @returns {Array<Array<import('babel-types').ExportNamedDeclaration | import('babel-types').ExportAllDeclaration>>}
+ */
+function getReExportRuns(program) {
+  let run = []
+  return program.body.reduce((runs, statement, idx) => {
+    if (isReExport(statement)) {
+      run.push(statement)
+    } else if (run.length) {
+      runs.push(run)
+      run = []
+    }
+    if (run.length && idx === program.body.length - 1) {
+      runs.push(run)
+    }
+    return runs
+  }, [])
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const rule = {
+  meta: {
+    docs: {
+      category: 'ECMAScript 6',
+      description: 'Enforce sorted re-export declarations and export specifiers',
+      recommended: true,
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...comparatorSchemaProperties,
+          groups: groupsSchema,
+          fix: {
+            type: 'boolean',
+          },
+        },
+      },
+    ],
+  },
+  create(context) {
+    const options = context.options[0] || {}
+    const { fix = false, groups } = options
+    const classifier = createImportClassifier({
+      groups,
+      isExternal: createExternalResolver(context),
+    })
+    const getExportSortIdx = (node) => classifier.getGroupIdx(node.source.value, false)
+    const compareNames = getNameComparator(options)
+    const specifierSorter = chainSorters(
+      getSorter(getExportSpecifierSortName, compareNames),
+      getSorter(getExportSpecifierSortName),
+      getSorter((node) => getExpressionSortName(node.exported)),
+      compareNodePositions
+    )
+    // ties are broken by the exact sources, then by `export *` before `export { ... }`,
+    // then by their original position so that autofixing always gives the same result
+    const declarationSorter = chainSorters(
+      getSorter(getExportSortIdx),
+      getSorter((node) => node.source.value, compareNames),
+      getSorter((node) => node.source.value),
+      getSorter((node) => (node.type === 'ExportAllDeclaration' ? 0 : 1)),
+      compareNodePositions
+    )
+
+    /**
+     * Collects the problems of unsorted specifiers of an export list
+     * @param {import('babel-types').ExportNamedDeclaration} node
+     * @param {import('eslint').Rule.ReportDescriptor[]} problems
+     * @returns {boolean} whether the specifiers are sorted
+     */
+    function checkSpecifiers(node, problems) {
+      let isSorted = true
+      if (node.type === 'ExportNamedDeclaration' && node.specifiers.length >= 2) {
+        node.specifiers.reduce((prevSpec, curSpec) => {
+          if (isSorted) {
+            const curSortName = getExportSpecifierSortName(curSpec)
+            const prevSortName = getExportSpecifierSortName(prevSpec)
+            if (specifierSorter(prevSpec, curSpec) > 0) {
+              isSorted = false
+              problems.push({
+                node: curSpec,
+                message: "Expected '{{a}}' to be before '{{b}}'",
+                data: {
+                  a: curSortName,
+                  b: prevSortName,
+                },
+              })
+            }
+          }
+          return curSpec
+        })
+      }
+      return isSorted
+    }
+
+    /**
+     * @param {import('eslint').Rule.RuleFixer} fixer
+     * @param {import('babel-types').ExportNamedDeclaration} node
+     */
+    function fixSpecifiers(fixer, node) {
+      const source = context.getSourceCode()
+      return fixer.replaceTextRange(
+        getCommentedRange(source, node.specifiers),
+        getSortedText(source, node.specifiers, specifierSorter)
+      )
+    }
+
+    return {
+      /** @param {import('babel-types').ExportNamedDeclaration} node */
+      ExportNamedDeclaration(node) {
+        // re-exports are checked as part of their run of declarations
+        if (node.source) return
+        const problems = []
+        reportProblems(
+          context,
+          problems,
+          fix,
+          'Sort the export specifiers.',
+          !checkSpecifiers(node, problems) && {
+            node,
+            message: 'Expected export specifiers to be sorted.',
+            fix: (fixer) => fixSpecifiers(fixer, node),
+          }
+        )
+      },
+      /** @param {import('babel-types').Program} program */
+      Program(program) {
+        getReExportRuns(program).forEach((reExports) => {
+          const problems = []
+          /** @type {import('babel-types').ExportNamedDeclaration[]} */
+          const declarationsWithUnsortedSpecifiers = reExports.filter(
+            (reExport) => !checkSpecifiers(reExport, problems)
+          )
+          let lastUnsortedDeclaration = declarationsWithUnsortedSpecifiers[0]
+
+          reExports.reduce((prevExport, curExport) => {
+            const curSortIdx = getExportSortIdx(curExport)
+            const prevSortIdx = getExportSortIdx(prevExport)
+            if (curSortIdx < prevSortIdx) {
+              lastUnsortedDeclaration = curExport
+              problems.push({
+                node: curExport,
+                message: 'Expected {{a}} re-exports to be before {{b}} re-exports.',
+                data: {
+                  a: classifier.names[curSortIdx],
+                  b: classifier.names[prevSortIdx],
+                },
+              })
+            } else if (curSortIdx === prevSortIdx && declarationSorter(prevExport, curExport) > 0) {
+              lastUnsortedDeclaration = curExport
+              problems.push({
+                node: curExport,
+                message:
+                  curExport.source.value === prevExport.source.value
+                    ? "Expected 'export *' from '{{a}}' to be before named re-exports from '{{b}}'"
+                    : "Expected re-exports from '{{a}}' to be before re-exports from '{{b}}'",
+                data: {
+                  a: curExport.source.value,
+                  b: prevExport.source.value,
+                },
+              })
+            }
+            return curExport
+          }, reExports[0])
+
+          // like sort-imports, fix everything in the run with a single report
+          reportProblems(
+            context,
+            problems,
+            fix,
+            'Sort the re-exports.',
+            lastUnsortedDeclaration && {
+              node: lastUnsortedDeclaration,
+              message: 'Expected re-exports to be sorted.',
+              fix(fixer) {
+                const source = context.getSourceCode()
+                // fix the export specifiers first before reordering the declarations
+                if (declarationsWithUnsortedSpecifiers.length) {
+                  return declarationsWithUnsortedSpecifiers.map((node) =>
+                    fixSpecifiers(fixer, node)
+                  )
+                }
+                let prevGroup
+                // one line per declaration, with a blank line in between each group
+                return fixer.replaceTextRange(
+                  getCommentedRange(source, reExports),
+                  reExports
+                    .slice()
+                    .sort(declarationSorter)
+                    .reduce((textBefore, newExport, idx) => {
+                      const currentGroup = getExportSortIdx(newExport)
+                      const groupSeparator =
+                        prevGroup != null && prevGroup !== currentGroup ? '\n' : ''
+                      prevGroup = currentGroup
+                      const text = getCommentedText(source, newExport)
+                      const textAfter = idx < reExports.length - 1 ? '\n' : ''
+                      return textBefore + groupSeparator + text + textAfter
+                    }, '')
+                )
+              },
+            }
+          )
+        })
+      },
+    }
+  },
+}
+module.exports = rule
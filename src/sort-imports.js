@@ -3,6 +3,9 @@
  * Sorts imports of a module into something like the following example:
  *  import 'side-effects-only'
  *
+ *  import fs from 'fs'
+ *  import path from 'node:path'
+ *
  *  import PropTypes from 'prop-types'
  *  import React from 'react'
  *  import { Router } from 'react-router'
@@ -16,25 +19,36 @@
 
 const {
   getSorter,
+  chainSorters,
+  compareNodePositions,
+  getNameComparator,
+  comparatorSchemaProperties,
   getCommentedText,
   getTextBetweenCommentedNodes,
-  getSpanningRange,
+  getSortedText,
+  getLeadingComments,
+  getTrailingComments,
+  getCommentedRange,
+  reportWithFix,
+  reportProblems,
 } = require('./utils')
+const { createImportClassifier, groupsSchema } = require('./import-groups')
+const { createExternalResolver } = require('./resolve')
 
-const DECL_PRIORITIES = {
-  SideEffect: 0,
-  External: 1,
-  Internal: 3,
-  StaticAsset: 4,
-}
+const IMPORT_DECLARATION_KINDS = [
+  'ImportDefaultSpecifier',
+  'ImportNamespaceSpecifier',
+  'ImportSpecifier',
+]
 
-const DECL_TYPE_NAMES = ['side effect', 'external package', 'internal', 'static asset']
+const IMPORT_DECLARATION_KIND_NAMES = ['default', 'namespace', 'named', 'side effect']
 
 /**
  * Gets the sortable name of an import declaration by using its specifiers
  * @param {import('babel-types').ImportDeclaration} node
+ * @param {(a: string, b: string) => number} compareNames
  */
-function getImportDeclarationSortName(node) {
+function getImportDeclarationSortName(node, compareNames) {
   // side-effectful imports have no bindings, so just use their source
   if (isImportSideEffect(node)) {
     return node.source.value
@@ -50,8 +64,7 @@ function getImportDeclarationSortName(node) {
   return node.specifiers.reduce(
     (sortName, spec) =>
       spec.type === 'ImportSpecifier'
-        ? sortName == null ||
-          getImportSpecifierSortName(spec).toLowerCase() < sortName.toLowerCase()
+        ? sortName == null || compareNames(getImportSpecifierSortName(spec), sortName) < 0
           ? getImportSpecifierSortName(spec)
           : sortName
         : sortName,
@@ -76,24 +89,62 @@ function getImportSpecifierSortName(node) {
   }
 }
 
+/**
+ * Gets the name of an import specifier as shown in report messages
+ * import { type Button } from 'buttons' -> 'type Button'
+ * import { Button as PrimaryButton } from 'buttons' -> 'Button as PrimaryButton'
+ * @param {import('babel-types').ImportDeclaration['specifiers'][number]} node
+ */
+function getImportSpecifierDisplayName(node) {
+  const sortName = getImportSpecifierSortName(node)
+  const alias = node.local.name !== sortName ? ` as ${node.local.name}` : ''
+  return (isTypeImport(node) ? 'type ' : '') + sortName + alias
+}
+
+const STYLESHEET_RE = /\.(css|scss|sass|less)(\?.*)?$/
+
 /**
  * Gets the sort index of an import declaration
- * Order is based on {@link DECL_PRIORITIES}: side effects -> external -> internal -> static
+ * Order is based on the configured `groups`, by default: side effects -> built-in -> external -> internal -> static
+ * With the `typeImports: 'last'` option, type-only imports are in a group of their own after all others,
+ * and with the `stylesheetsLast` option, stylesheet side effect imports are in a group of their own after that
  * @param {import('babel-types').ImportDeclaration} node
+ * @param {ReturnType<typeof createImportClassifier>} classifier
+ * @param {'mixed' | 'last' | 'with-value'} typeImports
+ * @param {boolean} stylesheetsLast
  */
-function getImportDeclarationSortIdx(node) {
-  const importSource = node.source.value.toLowerCase()
-  if (isImportSideEffect(node)) {
-    return DECL_PRIORITIES.SideEffect
+function getImportDeclarationSortIdx(node, classifier, typeImports, stylesheetsLast) {
+  if (stylesheetsLast && isImportSideEffect(node) && STYLESHEET_RE.test(node.source.value)) {
+    return classifier.names.length + 1
   }
-  if (/\.(svg|woff|woff2|tts|eot|bmp|jpe?g|gif|png|json|txt)$/.test(importSource)) {
-    return DECL_PRIORITIES.StaticAsset
+  if (typeImports === 'last' && isTypeImport(node)) {
+    return classifier.names.length
   }
-  if (isImportExternal(node)) {
-    return DECL_PRIORITIES.External
-  } else {
-    return DECL_PRIORITIES.Internal
+  return classifier.getGroupIdx(node.source.value, isImportSideEffect(node))
+}
+
+/**
+ * Gets the rank of the kind of an import declaration, to order declarations from the same source:
+ * default imports, then namespace imports, then named imports, then side effect imports
+ * @param {import('babel-types').ImportDeclaration} node
+ */
+function getImportDeclarationKindIdx(node) {
+  if (isImportSideEffect(node)) {
+    return 3
   }
+  return IMPORT_DECLARATION_KINDS.indexOf(node.specifiers[0].type)
+}
+
+/**
+ * Gets the kind of an import declaration as shown in report messages
+ * @param {import('babel-types').ImportDeclaration} node
+ * @param {boolean} withSpecifierKind
+ */
+function getImportDeclarationKindName(node, withSpecifierKind) {
+  const specifierKind = withSpecifierKind
+    ? `${IMPORT_DECLARATION_KIND_NAMES[getImportDeclarationKindIdx(node)]} `
+    : ''
+  return `${isTypeImport(node) ? 'type ' : ''}${specifierKind}imports`
 }
 
 /**
@@ -106,22 +157,181 @@ function isImportSideEffect(node) {
 }
 
 /**
- * Determines if an import points to a package in node_modules
+ * Determines if an import declaration or specifier only imports types:
+ * import type { Props } from 'react'
+ * import { type Props } from 'react'
+ * import typeof React from 'react'
+ * @param {import('babel-types').ImportDeclaration | import('babel-types').ImportSpecifier} node
+ */
+function isTypeImport(node) {
+  return node.importKind === 'type' || node.importKind === 'typeof'
+}
+
+/**
+ * Finds sets of import declarations from the same source that can be merged into one declaration
+ * Side effect imports, namespace imports and imports with attributes are never merged, neither are
+ * type-only imports with value imports, and each set has at most one default import
+ * Type-only default imports are never merged either, since TypeScript does not allow
+ * `import type A, { B } from 'a'`
+ * @param {import('babel-types').ImportDeclaration[]} imports
+ * @returns {import('babel-types').ImportDeclaration[][]}
+ */
+function getDuplicateImportSets(imports) {
+  const hasDefaultSpecifier = (node) => node.specifiers[0].type === 'ImportDefaultSpecifier'
+  /** @type {Map<string, import('babel-types').ImportDeclaration[][]>} */
+  const setsBySource = new Map()
+  imports.forEach((node) => {
+    if (
+      isImportSideEffect(node) ||
+      node.specifiers.some((spec) => spec.type === 'ImportNamespaceSpecifier') ||
+      (node.assertions && node.assertions.length) ||
+      (node.attributes && node.attributes.length)
+    ) {
+      return
+    }
+    const key = `${node.importKind || 'value'}:${node.source.value}`
+    const sets = setsBySource.get(key) || []
+    const set = sets.find((set) =>
+      node.importKind === 'type'
+        ? !hasDefaultSpecifier(node) && !set.some(hasDefaultSpecifier)
+        : !hasDefaultSpecifier(node) || !set.some(hasDefaultSpecifier)
+    )
+    if (set) {
+      set.push(node)
+    } else {
+      sets.push([node])
+    }
+    setsBySource.set(key, sets)
+  })
+  return [].concat(...Array.from(setsBySource.values())).filter((set) => set.length > 1)
+}
+
+/**
+ * Gets the text of an import specifier along with the comments before it,
+ * and the text of the comments after it on the same line, which go after its separator
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').ImportDeclaration['specifiers'][number]} node
+ * @returns {[string, string]}
+ */
+function getImportSpecifierCommentedTexts(source, node) {
+  const trailingComments = getTrailingComments(source, node)
+  // the comments may be on both sides of the separator, which is left out
+  const trailingText = trailingComments.map((comment) => ` ${source.getText(comment)}`).join('')
+  return [source.getText().slice(getCommentedRange(source, [node])[0], node.range[1]), trailingText]
+}
+
+/**
+ * Gets the comments inside an import declaration that are not moved along with any of its specifiers,
+ * like a comment between `import` and the braces, so that merging the declaration does not lose them
+ * @param {import('eslint').SourceCode} source
  * @param {import('babel-types').ImportDeclaration} node
  */
-function isImportExternal(node) {
-  if (node.source.value.startsWith('.')) {
-    return false
-  }
-  try {
-    // attempting to resolve the module from this file location
-    // leads to Node going into node_modules, if it finds a package
-    // it means that the resolved module is in node_modules
-    require.resolve(node.source.value)
-    return true
-  } catch (_) {
-    return false
-  }
+function getUnattachedImportComments(source, node) {
+  const specifierRanges = node.specifiers.map((spec) => getCommentedRange(source, [spec]))
+  return source
+    .getCommentsInside(node)
+    .filter(
+      (comment) =>
+        !specifierRanges.some(
+          ([start, end]) => comment.range[0] >= start && comment.range[1] <= end
+        )
+    )
+}
+
+/**
+ * Gets the text of a single import declaration that brings in the specifiers of all the given declarations
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').ImportDeclaration[]} declarations
+ * @param {(a: any, b: any) => number} specifierSorter
+ */
+function getMergedImportText(source, declarations, specifierSorter) {
+  const [firstDeclaration] = declarations
+  const specifiers = [].concat(...declarations.map((node) => node.specifiers))
+  const defaultSpecifier = specifiers.find((spec) => spec.type === 'ImportDefaultSpecifier')
+  const namedSpecifiers = specifiers
+    .filter((spec) => spec.type === 'ImportSpecifier')
+    .sort(specifierSorter)
+  const namedTexts = namedSpecifiers.map((spec) => getImportSpecifierCommentedTexts(source, spec))
+  // line comments would swallow the rest of a single line list of specifiers
+  const hasLineComments = namedSpecifiers.some((spec) =>
+    getLeadingComments(source, spec)
+      .concat(getTrailingComments(source, spec))
+      .some((comment) => comment.type === 'Line')
+  )
+  const bindings = [
+    defaultSpecifier && getImportSpecifierCommentedTexts(source, defaultSpecifier).join(''),
+    namedTexts.length &&
+      (hasLineComments
+        ? `{\n${namedTexts.map(([text, trailingText]) => `  ${text},${trailingText}\n`).join('')}}`
+        : `{ ${namedTexts.map((texts) => texts.join('')).join(', ')} }`),
+  ]
+    .filter(Boolean)
+    .join(', ')
+  const keyword = isTypeImport(firstDeclaration)
+    ? `import ${firstDeclaration.importKind}`
+    : 'import'
+  const semicolon = source.getLastToken(firstDeclaration).value === ';' ? ';' : ''
+  return `${keyword} ${bindings} from ${source.getText(firstDeclaration.source)}${semicolon}`
+}
+
+/**
+ * Gets the ranges of the whitespace spanning multiple lines between two nodes,
+ * which may be separated by comments
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').Node} nodeA
+ * @param {import('babel-types').Node} nodeB
+ * @returns {Array<[number, number]>}
+ */
+function getLineBreakRanges(source, nodeA, nodeB) {
+  const tokens = [nodeA, ...source.getTokensBetween(nodeA, nodeB, { includeComments: true }), nodeB]
+  return tokens
+    .slice(1)
+    .map((token, idx) => [tokens[idx].range[1], token.range[0]])
+    .filter((range) => source.getText().slice(range[0], range[1]).includes('\n'))
+}
+
+/**
+ * Determines if there is a blank line between two nodes, either before or after the comments between them
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').Node} nodeA
+ * @param {import('babel-types').Node} nodeB
+ */
+function hasBlankLineBetween(source, nodeA, nodeB) {
+  return getLineBreakRanges(source, nodeA, nodeB).some((range) =>
+    /\n[ \t]*\r?\n/.test(source.getText().slice(range[0], range[1]))
+  )
+}
+
+/**
+ * Determines if a statement between import declarations opts out of having the imports hoisted over it:
+ * // sort-imports: no-hoist
+ * jest.mock('./api')
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').Statement} statement
+ */
+function isHoistBarrier(source, statement) {
+  return source
+    .getCommentsBefore(statement)
+    .some((comment) => /^\s*sort-imports:\s*no-hoist\s*$/.test(comment.value))
+}
+
+/**
+ * Gets the text of statements that were between import declarations, to be placed after all of them
+ * Their relative order is preserved, as well as the text between statements that were already adjacent
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').Program} program
+ * @param {import('babel-types').Statement[]} statements
+ */
+function getHoistedStatementsText(source, program, statements) {
+  return statements.reduce((textBefore, statement, idx) => {
+    const prevStatement = statements[idx - 1]
+    const separator = !prevStatement
+      ? '\n\n'
+      : program.body.indexOf(prevStatement) === program.body.indexOf(statement) - 1
+      ? getTextBetweenCommentedNodes(source, prevStatement, statement)
+      : '\n'
+    return textBefore + separator + getCommentedText(source, statement)
+  }, '')
 }
 
 /** @type {import('eslint').Rule.RuleModule} */
@@ -133,14 +343,41 @@ const rule = {
       recommended: true,
     },
     fixable: 'code',
+    hasSuggestions: true,
     schema: [
       {
         type: 'object',
         properties: {
+          ...comparatorSchemaProperties,
           declarationSort: {
             type: 'string',
             enum: ['source', 'import'],
           },
+          groups: groupsSchema,
+          typeImports: {
+            type: 'string',
+            enum: ['mixed', 'last', 'with-value'],
+          },
+          typeSpecifiers: {
+            type: 'string',
+            enum: ['mixed', 'first', 'last'],
+          },
+          hoist: {
+            type: 'boolean',
+          },
+          newlinesBetween: {
+            type: 'string',
+            enum: ['always', 'never', 'ignore', 'always-and-inside-groups'],
+          },
+          mergeDuplicates: {
+            type: 'boolean',
+          },
+          sortSideEffects: {
+            type: 'boolean',
+          },
+          stylesheetsLast: {
+            type: 'boolean',
+          },
           fix: {
             type: 'boolean',
           },
@@ -150,7 +387,35 @@ const rule = {
   },
   create(context) {
     const options = context.options[0] || {}
-    const { declarationSort = 'source', fix = false } = options
+    const {
+      declarationSort = 'source',
+      fix = false,
+      groups,
+      hoist = false,
+      mergeDuplicates = false,
+      newlinesBetween = 'ignore',
+      sortSideEffects = false,
+      stylesheetsLast = false,
+      typeImports = 'mixed',
+      typeSpecifiers = 'mixed',
+    } = options
+    const classifier = createImportClassifier({
+      groups,
+      isExternal: createExternalResolver(context),
+    })
+    const groupNames = classifier.names.concat('type', 'stylesheet')
+    const compareNames = getNameComparator(options)
+    const specifierKindSorter =
+      typeSpecifiers === 'mixed'
+        ? () => 0
+        : getSorter((node) => (isTypeImport(node) === (typeSpecifiers === 'first') ? 0 : 1))
+    const specifierSorter = chainSorters(
+      specifierKindSorter,
+      getSorter(getImportSpecifierSortName, compareNames),
+      getSorter(getImportSpecifierSortName),
+      getSorter((node) => node.local.name),
+      compareNodePositions
+    )
     return {
       /** @param {import('babel-types').Program} program */
       Program(program) {
@@ -159,22 +424,25 @@ const rule = {
           return
         }
 
+        const source = context.getSourceCode()
         /** @type {import('babel-types').ImportDeclaration[]} */
         const declarationsWithUnsortedSpecifiers = []
-        let fixable = true
         let lastUnsortedDeclaration
+        /** @type {import('eslint').Rule.ReportDescriptor[]} */
+        const problems = []
 
+        /** @type {import('babel-types').Statement[]} */
+        const interleavedStatements = []
+        /** @type {import('babel-types').Statement[]} */
+        let statementsAfterImport = []
         /** @type {import('babel-types').ImportDeclaration[]} */
         const imports = program.body.reduce((imports, statement) => {
-          // if we find non-import statements between import statements
-          // don't try to autofix but still report errors
           if (statement.type === 'ImportDeclaration') {
-            if (imports.length && imports.nonImportFound) {
-              fixable = false
-            }
+            interleavedStatements.push(...statementsAfterImport)
+            statementsAfterImport = []
             imports.push(statement)
           } else if (imports.length) {
-            imports.nonImportFound = true
+            statementsAfterImport.push(statement)
           }
           return imports
         }, [])
@@ -182,58 +450,163 @@ const rule = {
         // return early if there's nothing to compare
         if (imports.length < 2) return
 
+        // if we find non-import statements between import statements
+        // don't try to autofix unless they can be moved after all of the imports, but still report errors
+        const fixable =
+          !interleavedStatements.length ||
+          (hoist && !interleavedStatements.some((statement) => isHoistBarrier(source, statement)))
+
+        /** @type {Map<string, import('babel-types').ImportDeclaration>} */
+        const valueImportsBySource = new Map()
+        imports.forEach((node) => {
+          if (!isTypeImport(node) && !valueImportsBySource.has(node.source.value)) {
+            valueImportsBySource.set(node.source.value, node)
+          }
+        })
+        // with the `typeImports: 'with-value'` option, type-only imports are sorted
+        // as if they were the value import from the same source, right after it
+        const getSortTarget = (node) =>
+          (typeImports === 'with-value' &&
+            isTypeImport(node) &&
+            valueImportsBySource.get(node.source.value)) ||
+          node
+        const getGroupSortIdx = (node) =>
+          getImportDeclarationSortIdx(getSortTarget(node), classifier, typeImports, stylesheetsLast)
+        // unless `sortSideEffects` is set, side effect imports all go in the first group any of them belongs to,
+        // so that they keep their order even when no group has the `side-effect` kind
+        const isPinnedSideEffect = (node) =>
+          !sortSideEffects &&
+          isImportSideEffect(node) &&
+          !(stylesheetsLast && STYLESHEET_RE.test(node.source.value))
+        const pinnedSideEffectSortIdx = Math.min(
+          ...imports.filter(isPinnedSideEffect).map(getGroupSortIdx)
+        )
+        const getSortIdx = (node) =>
+          isPinnedSideEffect(node) ? pinnedSideEffectSortIdx : getGroupSortIdx(node)
+        const getSortName = (node) => {
+          if (declarationSort === 'import') {
+            return getImportDeclarationSortName(getSortTarget(node), compareNames)
+          } else if (declarationSort === 'source') {
+            return getSortTarget(node).source.value
+          }
+          throw new Error('Unexpected sort strategy')
+        }
+
+        // blank lines the author placed between imports of the same group split it into partitions
+        // that are sorted on their own, unless the `newlinesBetween` option forbids them
+        const keepsBlankLinesInsideGroups =
+          newlinesBetween === 'ignore' || newlinesBetween === 'always-and-inside-groups'
+        const hasBlankLineInsideGroupBefore = (node) => {
+          const prevStatement = program.body[program.body.indexOf(node) - 1]
+          return (
+            !!prevStatement &&
+            prevStatement.type === 'ImportDeclaration' &&
+            getSortIdx(prevStatement) === getSortIdx(node) &&
+            hasBlankLineBetween(source, prevStatement, node)
+          )
+        }
+        /** @type {Map<number, number>} */
+        const partitionCountsBySortIdx = new Map()
+        /** @type {Map<import('babel-types').ImportDeclaration, number>} */
+        const partitionIdxs = new Map()
+        imports.forEach((node) => {
+          const sortIdx = getSortIdx(node)
+          const partitionIdx =
+            (partitionCountsBySortIdx.get(sortIdx) || 0) +
+            (keepsBlankLinesInsideGroups && hasBlankLineInsideGroupBefore(node) ? 1 : 0)
+          partitionCountsBySortIdx.set(sortIdx, partitionIdx)
+          partitionIdxs.set(node, partitionIdx)
+        })
+        const getPartitionIdx = (node) => partitionIdxs.get(node.original || node)
+
+        // unless `sortSideEffects` is set, side effect imports come first in their group and keep their
+        // original order, since the order they run in may matter
+        const sideEffectSorter = sortSideEffects
+          ? () => 0
+          : chainSorters(
+              getSorter((node) => (isImportSideEffect(node) ? 0 : 1)),
+              (a, b) =>
+                isImportSideEffect(a) && isImportSideEffect(b) ? compareNodePositions(a, b) : 0
+            )
+        // ties are broken by the exact names and sources, then by the kinds of the imports,
+        // then by their original position so that autofixing always gives the same result
+        const declarationSorter = chainSorters(
+          getSorter(getSortIdx),
+          getSorter(getPartitionIdx),
+          sideEffectSorter,
+          getSorter(getSortName, compareNames),
+          getSorter(getSortName),
+          getSorter((node) => node.source.value, compareNames),
+          getSorter((node) => node.source.value),
+          typeImports === 'with-value'
+            ? getSorter((node) => (isTypeImport(node) ? 1 : 0))
+            : () => 0,
+          getSorter(getImportDeclarationKindIdx),
+          compareNodePositions
+        )
+
+        const duplicateImportSets = mergeDuplicates ? getDuplicateImportSets(imports) : []
+        duplicateImportSets.forEach((duplicates) =>
+          duplicates.slice(1).forEach((node) => {
+            lastUnsortedDeclaration = node
+            problems.push({
+              node,
+              message: "Expected imports from '{{a}}' to be merged into a single declaration.",
+              data: {
+                a: node.source.value,
+              },
+            })
+          })
+        )
+
         // for each import declaration, compare the current one with the previous
         // to determine if something is out of order
         imports.reduce((prevImport, curImport) => {
-          const curDeclarationSortIdx = getImportDeclarationSortIdx(curImport)
-          const prevDeclarationSortIdx = getImportDeclarationSortIdx(prevImport)
+          const curDeclarationSortIdx = getSortIdx(curImport)
+          const prevDeclarationSortIdx = getSortIdx(prevImport)
           // check if an import's "group" is out of order
           if (curDeclarationSortIdx < prevDeclarationSortIdx) {
             lastUnsortedDeclaration = curImport
-            context.report({
+            problems.push({
               node: curImport,
               message: 'Expected {{a}} imports to be before {{b}} imports.',
               data: {
-                a: DECL_TYPE_NAMES[curDeclarationSortIdx],
-                b: DECL_TYPE_NAMES[prevDeclarationSortIdx],
+                a: groupNames[curDeclarationSortIdx],
+                b: groupNames[prevDeclarationSortIdx],
               },
             })
           }
           // within the same group, check that their sortable names are in alphabetical order
-          else if (curDeclarationSortIdx === prevDeclarationSortIdx) {
+          else if (
+            curDeclarationSortIdx === prevDeclarationSortIdx &&
+            declarationSorter(prevImport, curImport) > 0
+          ) {
+            lastUnsortedDeclaration = curImport
             if (declarationSort === 'import') {
-              const curSortName = getImportDeclarationSortName(curImport)
-              const prevSortName = getImportDeclarationSortName(prevImport)
-              if (curSortName.toLowerCase() < prevSortName.toLowerCase()) {
-                lastUnsortedDeclaration = curImport
-                context.report({
-                  node: curImport,
-                  message:
-                    "Expected '{{impA}}' from '{{decA}}' to be before '{{impB}}' from '{{decB}}'.",
-                  data: {
-                    impA: curSortName,
-                    impB: prevSortName,
-                    decA: curImport.source.value,
-                    decB: prevImport.source.value,
-                  },
-                })
-              }
-            } else if (declarationSort === 'source') {
-              const curSource = curImport.source.value
-              const prevSource = prevImport.source.value
-              if (curSource.toLowerCase() < prevSource.toLowerCase()) {
-                lastUnsortedDeclaration = curImport
-                context.report({
-                  node: curImport,
-                  message: "Expected imports from '{{a}}' to be before imports from '{{b}}'",
-                  data: {
-                    a: curSource,
-                    b: prevSource,
-                  },
-                })
-              }
+              problems.push({
+                node: curImport,
+                message:
+                  "Expected '{{impA}}' from '{{decA}}' to be before '{{impB}}' from '{{decB}}'.",
+                data: {
+                  impA: (isTypeImport(curImport) ? 'type ' : '') + getSortName(curImport),
+                  impB: (isTypeImport(prevImport) ? 'type ' : '') + getSortName(prevImport),
+                  decA: curImport.source.value,
+                  decB: prevImport.source.value,
+                },
+              })
             } else {
-              throw new Error('Unexpected sort strategy')
+              // imports from the same source are told apart by their kinds
+              const isSameSource = curImport.source.value === prevImport.source.value
+              problems.push({
+                node: curImport,
+                message: "Expected {{kindA}} from '{{a}}' to be before {{kindB}} from '{{b}}'",
+                data: {
+                  a: curImport.source.value,
+                  b: prevImport.source.value,
+                  kindA: getImportDeclarationKindName(curImport, isSameSource),
+                  kindB: getImportDeclarationKindName(prevImport, isSameSource),
+                },
+              })
             }
           }
           // check the declaration's own import specifiers to see if they are in alphabetical order
@@ -247,19 +620,17 @@ const rule = {
               let isSorted = true
               sortableSpecifiers.reduce((prevSpec, curSpec) => {
                 if (isSorted) {
-                  const curSortName = getImportSpecifierSortName(curSpec)
-                  const prevSortName = getImportSpecifierSortName(prevSpec)
-                  if (curSortName.toLowerCase() < prevSortName.toLowerCase()) {
+                  if (specifierSorter(prevSpec, curSpec) > 0) {
                     isSorted = false
                     lastUnsortedDeclaration = curImport
                     // track declarations with unsorted specifiers to autofix later
                     fixable && declarationsWithUnsortedSpecifiers.push(curImport)
-                    context.report({
+                    problems.push({
                       node: curSpec,
                       message: "Expected '{{a}}' to be before '{{b}}'",
                       data: {
-                        a: curSortName,
-                        b: prevSortName,
+                        a: getImportSpecifierDisplayName(curSpec),
+                        b: getImportSpecifierDisplayName(prevSpec),
                       },
                     })
                   }
@@ -270,92 +641,131 @@ const rule = {
           }
           return curImport
         })
+        // blank lines between adjacent imports are checked on their own, whether they are sorted or not
+        if (newlinesBetween !== 'ignore') {
+          imports.reduce((prevImport, curImport) => {
+            if (program.body.indexOf(curImport) !== program.body.indexOf(prevImport) + 1) {
+              return curImport
+            }
+            const isSameGroup = getSortIdx(prevImport) === getSortIdx(curImport)
+            if (isSameGroup && newlinesBetween === 'always-and-inside-groups') {
+              return curImport
+            }
+            const expectsBlankLine = !isSameGroup && newlinesBetween !== 'never'
+            if (expectsBlankLine !== hasBlankLineBetween(source, prevImport, curImport)) {
+              reportWithFix(
+                context,
+                fix,
+                expectsBlankLine ? 'Add a blank line.' : 'Remove the blank line.',
+                {
+                  node: curImport,
+                  message: expectsBlankLine
+                    ? "Expected a blank line between imports from '{{b}}' and '{{a}}'."
+                    : "Expected no blank line between imports from '{{b}}' and '{{a}}'.",
+                  data: {
+                    a: curImport.source.value,
+                    b: prevImport.source.value,
+                  },
+                  fix: (fixer) =>
+                    getLineBreakRanges(source, prevImport, curImport).map((range, idx) =>
+                      fixer.replaceTextRange(range, idx === 0 && expectsBlankLine ? '\n\n' : '\n')
+                    ),
+                }
+              )
+            }
+            return curImport
+          })
+        }
+
         // fix everything all at once to prevent inefficient sorting
         // otherwise autofix will have to be potentially run many times
         // so report one error message along with a single fix
-        if (lastUnsortedDeclaration && fix && fixable) {
-          context.report({
-            node: lastUnsortedDeclaration,
-            message: 'Expected imports to be sorted.',
-            fix(fixer) {
-              const source = context.getSourceCode()
-              if (declarationsWithUnsortedSpecifiers.length) {
-                // if we have declarations whose specifiers are out of order
-                // only attempt to autofix just those before reordering the declarations
-                return declarationsWithUnsortedSpecifiers.map((imp) => {
-                  const specifiers = imp.specifiers.filter(
-                    (spec) => spec.type === 'ImportSpecifier'
-                  )
-                  // replace the span of text between all import specifiers with the reordered specifiers
-                  return fixer.replaceTextRange(
-                    getSpanningRange(specifiers),
-                    specifiers
-                      .slice()
-                      .sort(getSorter((node) => getImportSpecifierSortName(node).toLowerCase()))
-                      .reduce((textBefore, newSpec, idx) => {
-                        // group specifiers along with the comments that come before them
-                        // we cannot determine if the comment before the first specifier is actually associated
-                        // with that node (there may be whitespace in between), so ignore that one
-                        const text =
-                          newSpec !== specifiers[0]
-                            ? getCommentedText(source, newSpec)
-                            : source.getText(newSpec)
-
-                        // preserve and re-add in all text between the original import specifiers (prior to sorting)
-                        const textAfter = getTextBetweenCommentedNodes(
-                          source,
-                          specifiers[idx],
-                          specifiers[idx + 1]
-                        )
-
-                        return textBefore + text + textAfter
-                      }, '')
-                  )
-                })
-              }
-              let prevGroup
-              // reorder all import declarations (one line per declaration, with space in between each group)
-              return fixer.replaceTextRange(
-                getSpanningRange(imports),
-                imports
-                  .slice()
-                  .sort(
-                    getSorter(
-                      declarationSort === 'import'
-                        ? (node) =>
-                            getImportDeclarationSortIdx(node) +
-                            getImportDeclarationSortName(node).toLowerCase()
-                        : declarationSort === 'source'
-                        ? (node) =>
-                            getImportDeclarationSortIdx(node) + node.source.value.toLowerCase()
-                        : () => {
-                            throw new Error('Unexpected sort strategy')
-                          }
+        reportProblems(
+          context,
+          problems,
+          fix,
+          'Sort the imports.',
+          lastUnsortedDeclaration &&
+            fixable && {
+              node: lastUnsortedDeclaration,
+              message: 'Expected imports to be sorted.',
+              fix(fixer) {
+                if (declarationsWithUnsortedSpecifiers.length) {
+                  // if we have declarations whose specifiers are out of order
+                  // only attempt to autofix just those before reordering the declarations
+                  return declarationsWithUnsortedSpecifiers.map((imp) => {
+                    const specifiers = imp.specifiers.filter(
+                      (spec) => spec.type === 'ImportSpecifier'
                     )
+                    // replace the span of text between all import specifiers with the reordered specifiers
+                    return fixer.replaceTextRange(
+                      getCommentedRange(source, specifiers),
+                      getSortedText(source, specifiers, specifierSorter)
+                    )
+                  })
+                }
+                let prevGroup
+                let prevPartitionIdx
+                // duplicate declarations are merged into the first one of their set, which is sorted
+                // as if it already had all of the specifiers and is then replaced by a new declaration
+                const mergedDeclarations = new Map(duplicateImportSets.map((set) => [set[0], set]))
+                const declarations = imports
+                  .filter((node) => !duplicateImportSets.some((set) => set.indexOf(node) > 0))
+                  .map((node) =>
+                    mergedDeclarations.has(node)
+                      ? {
+                          ...node,
+                          specifiers: [].concat(
+                            ...mergedDeclarations.get(node).map((n) => n.specifiers)
+                          ),
+                          original: node,
+                        }
+                      : node
                   )
-                  .reduce((textBefore, newImport, idx) => {
-                    // if the group changes, it means that there needs to be a blank line before this next declaration
-                    const currentGroup = getImportDeclarationSortIdx(newImport)
-                    const groupSeparator =
-                      prevGroup != null && prevGroup !== currentGroup ? '\n' : ''
+                // reorder all import declarations (one line per declaration, with space in between each group)
+                return fixer.replaceTextRange(
+                  getCommentedRange(source, imports),
+                  declarations.sort(declarationSorter).reduce((textBefore, newImport, idx) => {
+                    // if the group or the partition in it changes, it means that there needs to be a blank line
+                    // before this next declaration
+                    const currentGroup = getSortIdx(newImport)
+                    const currentPartitionIdx = getPartitionIdx(newImport)
+                    const hasSeparator =
+                      prevGroup != null &&
+                      newlinesBetween !== 'never' &&
+                      (prevGroup !== currentGroup || prevPartitionIdx !== currentPartitionIdx)
+                    const groupSeparator = hasSeparator ? '\n' : ''
                     prevGroup = currentGroup
-                    // like import specifiers, import declarations are grouped with their comments
-                    // and ignore comments before the first import declaration since it is impossible
-                    // to determine if it's actually associated with that node
-                    const text =
-                      newImport !== imports[0]
-                        ? getCommentedText(source, newImport)
-                        : source.getText(newImport)
+                    prevPartitionIdx = currentPartitionIdx
+                    // like import specifiers, import declarations are moved along with their comments,
+                    // while the comments at the top of the file stay in place
+                    let text
+                    if (newImport.original) {
+                      const duplicates = mergedDeclarations.get(newImport.original)
+                      // keep the comments of each of the merged declarations, on their own lines before it
+                      text =
+                        duplicates
+                          .map((node) =>
+                            getLeadingComments(source, node)
+                              .concat(getUnattachedImportComments(source, node))
+                              .concat(getTrailingComments(source, node))
+                              .map((comment) => `${source.getText(comment)}\n`)
+                              .join('')
+                          )
+                          .join('') + getMergedImportText(source, duplicates, specifierSorter)
+                    } else {
+                      text = getCommentedText(source, newImport)
+                    }
 
                     // each declaration goes in its own line so add a new line before adding a new declaration
-                    const textAfter = idx < imports.length - 1 ? '\n' : ''
+                    const textAfter = idx < declarations.length - 1 ? '\n' : ''
 
                     return textBefore + groupSeparator + text + textAfter
-                  }, '')
-              )
-            },
-          })
-        }
+                  }, '') + getHoistedStatementsText(source, program, interleavedStatements)
+                )
+              },
+            }
+        )
       },
     }
   },
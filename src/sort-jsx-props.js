@@ -0,0 +1,195 @@
+const {
+  getSorter,
+  chainSorters,
+  compareNodePositions,
+  getCommentedRange,
+  getSortedText,
+  getNameComparator,
+  comparatorSchemaProperties,
+  reportProblems
+} = require('./utils')
+
+const DEFAULT_RESERVED_PROPS = ['key', 'ref']
+
+const PROP_GROUPS = ['shorthand prop', 'prop', 'shorthand prop', 'callback']
+
+/**
+ * Gets the name of a JSX attribute, including its namespace
+ * <svg xlink:href="#icon" /> -> 'xlink:href'
+ * @param {import('babel-types').JSXAttribute} attr
+ */
+function getPropName(attr) {
+  return attr.name.type === 'JSXNamespacedName'
+    ? `${attr.name.namespace.name}:${attr.name.name.name}`
+    : attr.name.name
+}
+
+/**
+ * Splits the attributes of an element into contiguous spans of attributes that are not spreads,
+ * since props before a spread can be overridden by it and props after it override it
+ * @param {import('babel-types').JSXOpeningElement} node
+ * @returns {import('babel-types').JSXAttribute[][]}
+ */
+function getDefinedPropSpansOfJSXElement(node) {
+  let propSpan = []
+  return node.attributes.reduce((propSpans, attr, idx) => {
+    if (attr.type === 'JSXSpreadAttribute') {
+      if (propSpan.length) {
+        propSpans.push(propSpan)
+        propSpan = []
+      }
+    } else {
+      propSpan.push(attr)
+    }
+    if (propSpan.length && idx === node.attributes.length - 1) {
+      propSpans.push(propSpan)
+    }
+    return propSpans
+  }, [])
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const rule = {
+  meta: {
+    docs: {
+      category: 'Stylistic Issues',
+      description: 'Enforce sorted props in JSX elements',
+      recommended: false
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...comparatorSchemaProperties,
+          reservedFirst: {
+            oneOf: [
+              {
+                type: 'boolean'
+              },
+              {
+                type: 'array',
+                items: {
+                  type: 'string'
+                },
+                uniqueItems: true
+              }
+            ]
+          },
+          callbacksLast: {
+            type: 'boolean'
+          },
+          shorthand: {
+            type: 'string',
+            enum: ['first', 'last', 'ignore']
+          },
+          fix: {
+            type: 'boolean'
+          }
+        }
+      }
+    ]
+  },
+  create(context) {
+    const options = context.options[0] || {}
+    const {
+      fix = false,
+      reservedFirst = false,
+      callbacksLast = false,
+      shorthand = 'ignore'
+    } = options
+    const reservedProps = Array.isArray(reservedFirst)
+      ? reservedFirst
+      : reservedFirst
+      ? DEFAULT_RESERVED_PROPS
+      : []
+    const compareNames = getNameComparator(options)
+
+    /**
+     * Gets the index of the group of a prop in `PROP_GROUPS`, or -1 for reserved props
+     * @param {import('babel-types').JSXAttribute} attr
+     */
+    function getPropGroupIdx(attr) {
+      const name = getPropName(attr)
+      if (reservedProps.includes(name)) {
+        return -1
+      }
+      if (callbacksLast && /^on[A-Z]/.test(name)) {
+        return 3
+      }
+      // props without a value are shorthands for `true`
+      if (attr.value === null && shorthand !== 'ignore') {
+        return shorthand === 'first' ? 0 : 2
+      }
+      return 1
+    }
+
+    // reserved props keep the order they are listed in, before all other groups
+    const propSorter = chainSorters(
+      getSorter(attr => {
+        const groupIdx = getPropGroupIdx(attr)
+        return groupIdx === -1
+          ? reservedProps.indexOf(getPropName(attr))
+          : reservedProps.length + groupIdx
+      }),
+      getSorter(getPropName, compareNames),
+      getSorter(getPropName),
+      compareNodePositions
+    )
+    const source = context.getSourceCode()
+
+    return {
+      /** @param {import('babel-types').JSXOpeningElement} node */
+      JSXOpeningElement(node) {
+        if (node.attributes.length < 2) return
+        const problems = []
+        const unsortedSpans = getDefinedPropSpansOfJSXElement(node).filter(span => {
+          let isSorted = true
+          span.reduce((prevAttr, curAttr) => {
+            if (propSorter(prevAttr, curAttr) > 0) {
+              isSorted = false
+              const curGroupIdx = getPropGroupIdx(curAttr)
+              const prevGroupIdx = getPropGroupIdx(prevAttr)
+              problems.push({
+                node: curAttr,
+                message:
+                  curGroupIdx === prevGroupIdx
+                    ? "Expected '{{a}}' to be before '{{b}}'."
+                    : "Expected {{groupA}} '{{a}}' to be before {{groupB}} '{{b}}'.",
+                data: {
+                  a: getPropName(curAttr),
+                  b: getPropName(prevAttr),
+                  groupA: curGroupIdx === -1 ? 'reserved prop' : PROP_GROUPS[curGroupIdx],
+                  groupB: prevGroupIdx === -1 ? 'reserved prop' : PROP_GROUPS[prevGroupIdx]
+                }
+              })
+            }
+            return curAttr
+          })
+          return !isSorted
+        })
+        // like sort-imports, fix every span of the element with a single report
+        reportProblems(
+          context,
+          problems,
+          fix,
+          'Sort the JSX props.',
+          unsortedSpans.length && {
+            node,
+            message: 'Expected JSX props to be sorted.',
+            fix(fixer) {
+              return unsortedSpans.map(span =>
+                fixer.replaceTextRange(
+                  getCommentedRange(source, span),
+                  getSortedText(source, span, propSorter)
+                )
+              )
+            }
+          }
+        )
+      }
+    }
+  }
+}
+module.exports = rule
@@ -1,24 +1,89 @@
 const {
   getSorter,
-  getCommentedText,
+  chainSorters,
+  getPropertySorter,
+  getCommentedRange,
   getTextBetweenCommentedNodes,
-  getSpanningRange,
-  getExpressionSortName
+  getReorderedText,
+  getNameComparator,
+  comparatorSchemaProperties,
+  getExpressionSortName,
+  getPropertyKeyName,
+  hasSideEffectingKey,
+  parseRegExp,
+  reportProblems
 } = require('./utils')
 
+const PROPERTY_KINDS = ['accessor', 'method', 'shorthand', 'computed', 'function', 'property']
+
+/**
+ * Determines if an object property spreads another object
+ * @param {import('babel-types').ObjectExpression['properties'][number]} prop
+ */
+function isSpreadProperty(prop) {
+  return (
+    prop.type === 'SpreadElement' ||
+    prop.type === 'SpreadProperty' ||
+    prop.type === 'ExperimentalSpreadProperty'
+  )
+}
+
+/**
+ * Gets the kind of an object property, the first one that applies of:
+ * get a() {} / set a(value) {} -> 'accessor'
+ * a() {} -> 'method'
+ * { a } -> 'shorthand'
+ * [a]: 1 -> 'computed'
+ * a: () => {} -> 'function'
+ * a: 1 -> 'property'
+ * @param {import('babel-types').ObjectProperty | import('babel-types').ObjectMethod} prop
+ */
+function getPropertyKind(prop) {
+  if (prop.kind === 'get' || prop.kind === 'set') {
+    return 'accessor'
+  }
+  if (prop.method || prop.type === 'ObjectMethod') {
+    return 'method'
+  }
+  if (prop.shorthand) {
+    return 'shorthand'
+  }
+  if (prop.computed) {
+    return 'computed'
+  }
+  if (prop.value.type === 'FunctionExpression' || prop.value.type === 'ArrowFunctionExpression') {
+    return 'function'
+  }
+  return 'property'
+}
+
 /**
- * @param {import('babel-types').ObjectExpression} node '
+ * Splits the properties of an object into the spans that can be sorted independently,
+ * spreads and properties with side effecting computed keys are never moved and separate the spans
+ * @param {import('babel-types').ObjectExpression} node
+ * @param {import('eslint').SourceCode} source
+ * @param {boolean} partitionByNewLine also split the properties on blank lines
  * @returns {import('babel-types').ObjectExpression['properties'][]}
  */
-function getDefinedPropSpansOfObjectExpression(node) {
+function getDefinedPropSpansOfObjectExpression(node, source, partitionByNewLine) {
   let propSpan = []
   return node.properties.reduce((propSpans, prop, idx) => {
-    if (prop.type === 'SpreadProperty' || prop.type === 'ExperimentalSpreadProperty') {
+    if (isSpreadProperty(prop) || hasSideEffectingKey(prop)) {
       if (propSpan.length) {
         propSpans.push(propSpan)
         propSpan = []
       }
     } else {
+      if (
+        partitionByNewLine &&
+        propSpan.length &&
+        /\n[ \t]*\r?\n/.test(
+          getTextBetweenCommentedNodes(source, propSpan[propSpan.length - 1], prop)
+        )
+      ) {
+        propSpans.push(propSpan)
+        propSpan = []
+      }
       propSpan.push(prop)
     }
     if (propSpan.length && idx === node.properties.length - 1) {
@@ -28,6 +93,89 @@ function getDefinedPropSpansOfObjectExpression(node) {
   }, [])
 }
 
+/**
+ * Groups the properties of a span into the units that are moved together, which are single properties
+ * except for a getter and a setter of the same property, grouped in the position of the first of them
+ * @param {import('babel-types').ObjectExpression['properties']} span
+ * @returns {Array<import('babel-types').ObjectExpression['properties']>}
+ */
+function getPropertyUnits(span) {
+  /** @type {Map<string, import('babel-types').ObjectExpression['properties']>} */
+  const accessorUnits = new Map()
+  return span.reduce((units, prop) => {
+    if (prop.kind === 'get' || prop.kind === 'set') {
+      const keyName = getPropertyKeyName(prop)
+      const pairedUnit = accessorUnits.get(keyName)
+      if (pairedUnit && pairedUnit.length === 1 && pairedUnit[0].kind !== prop.kind) {
+        pairedUnit.push(prop)
+        return units
+      }
+      accessorUnits.set(keyName, [prop])
+      units.push(accessorUnits.get(keyName))
+    } else {
+      units.push([prop])
+    }
+    return units
+  }, [])
+}
+
+/**
+ * Creates a function that gets the rank of a property name in the `order` option
+ * Entries are either exact names or regular expressions wrapped in slashes, and names that match
+ * no entry are ranked at the '...' placeholder, or after all entries if there is none
+ * @param {string[]} order
+ * @returns {(name: string) => number}
+ */
+function getOrderRanker(order) {
+  const matchers = order.map(entry => {
+    const re = parseRegExp(entry)
+    return re ? name => re.test(name) : name => name === entry
+  })
+  const restIdx = order.indexOf('...') === -1 ? order.length : order.indexOf('...')
+  return name => {
+    const idx = matchers.findIndex((match, idx) => idx !== restIdx && match(name))
+    return idx === -1 ? restIdx : idx
+  }
+}
+
+/**
+ * Gets the directive of a comment before an object, or before the declaration or property it is the value of
+ * `/* sort-keys *\/` opts the object in, and `/* sort-keys: off *\/` opts it out
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').ObjectExpression} node
+ * @returns {'on' | 'off' | undefined}
+ */
+function getSortKeysDirective(source, node) {
+  const commentedNodes = [node]
+  let parent = node.parent
+  if (parent.type === 'Property' && parent.value === node) {
+    commentedNodes.push(parent)
+  } else if (parent.type === 'AssignmentExpression' && parent.right === node) {
+    commentedNodes.push(parent.parent)
+  } else if (parent.type === 'ExportDefaultDeclaration') {
+    commentedNodes.push(parent)
+  } else if (parent.type === 'VariableDeclarator' && parent.init === node) {
+    // const messages = { ... }, export const messages = { ... }
+    parent = parent.parent
+    commentedNodes.push(parent)
+    if (parent.parent.type === 'ExportNamedDeclaration') {
+      commentedNodes.push(parent.parent)
+    }
+  }
+  let directive
+  commentedNodes.some(commentedNode =>
+    source
+      .getCommentsBefore(commentedNode)
+      .reverse()
+      .some(comment => {
+        const match = /^\s*sort-keys(?::\s*(on|off))?\s*$/.exec(comment.value)
+        directive = match ? match[1] || 'on' : undefined
+        return !!match
+      })
+  )
+  return directive
+}
+
 /** @type {import('eslint').Rule.RuleModule} */
 const rule = {
   meta: {
@@ -37,10 +185,36 @@ const rule = {
       recommended: true
     },
     fixable: 'code',
+    hasSuggestions: true,
     schema: [
       {
         type: 'object',
         properties: {
+          ...comparatorSchemaProperties,
+          order: {
+            type: 'array',
+            items: {
+              type: 'string'
+            },
+            uniqueItems: true
+          },
+          partitionByNewLine: {
+            type: 'boolean'
+          },
+          kindOrder: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: PROPERTY_KINDS
+            },
+            uniqueItems: true
+          },
+          selectors: {
+            type: 'array',
+            items: {
+              type: 'string'
+            }
+          },
           fix: {
             type: 'boolean'
           }
@@ -50,64 +224,151 @@ const rule = {
   },
   create(context) {
     const options = context.options[0] || {}
-    const { fix = false } = options
-    return {
+    const {
+      fix = false,
+      order = [],
+      selectors,
+      partitionByNewLine = false,
+      kindOrder = []
+    } = options
+    const compareNames = getNameComparator(options)
+    const getOrderRank = getOrderRanker(order)
+    // kinds that are not listed in the `kindOrder` option come after the listed ones
+    const getKindRank = prop =>
+      kindOrder.length
+        ? kindOrder.indexOf(getPropertyKind(prop)) === -1
+          ? kindOrder.length
+          : kindOrder.indexOf(getPropertyKind(prop))
+        : 0
+    // keys listed in the `order` option come before the other keys,
+    // which are grouped by kind if needed, then sorted by name
+    const propSorter = chainSorters(
+      getSorter(prop => getOrderRank(getExpressionSortName(prop.key))),
+      getSorter(getKindRank),
+      getPropertySorter(prop => getExpressionSortName(prop.key), compareNames)
+    )
+    const source = context.getSourceCode()
+    /** @type {WeakSet<import('babel-types').Node>} */
+    const selectedNodes = new WeakSet()
+    const listeners = {}
+    // nodes are marked when entering them, and objects are checked when exiting
+    // them, once every selector had a chance to match the object or its parent
+    if (selectors) {
+      selectors.forEach(selector => {
+        listeners[selector] = node => selectedNodes.add(node)
+      })
+    }
+    return Object.assign(listeners, {
       /** @param {import('babel-types').ObjectExpression} node */
-      ObjectExpression(node) {
+      'ObjectExpression:exit'(node) {
         if (node.properties.length < 2) return
+        const directive = getSortKeysDirective(source, node)
+        if (
+          directive === 'off' ||
+          (directive !== 'on' &&
+            selectors &&
+            !selectedNodes.has(node) &&
+            !selectedNodes.has(node.parent))
+        ) {
+          return
+        }
         // object properties are unsafe to reorganize generally
         // since it can affect runtime, but object spreads are even more so
         // we divide the object properties into contiguous spans of
         // non-spread properties, and just reorder those regions
-        getDefinedPropSpansOfObjectExpression(node).forEach(span => {
+        // when partitioning by new lines, blank lines separate independently sorted spans as well
+        getDefinedPropSpansOfObjectExpression(node, source, partitionByNewLine).forEach(span => {
           if (span.length < 2) return
+          const units = getPropertyUnits(span)
+          const problems = []
           let lastUnsortedProperty
-          span.reduce((prevProp, curProp) => {
+          units.forEach(unit => {
+            if (unit.length === 2 && span.indexOf(unit[1]) !== span.indexOf(unit[0]) + 1) {
+              lastUnsortedProperty = unit[1]
+              problems.push({
+                node: unit[1],
+                message: "Expected {{kindA}} '{{a}}' to be next to its {{kindB}}.",
+                data: {
+                  a: getExpressionSortName(unit[1].key),
+                  kindA: unit[1].kind === 'get' ? 'getter' : 'setter',
+                  kindB: unit[0].kind === 'get' ? 'getter' : 'setter'
+                }
+              })
+            }
+          })
+          // 'a', a, ['a'] and [`a`] all define the same property
+          const keyNames = new Set()
+          let hasDuplicateKeys = false
+          units.forEach(unit => {
+            const keyName = getPropertyKeyName(unit[0])
+            if (keyNames.has(keyName)) {
+              hasDuplicateKeys = true
+              context.report({
+                node: unit[0],
+                message: "Duplicate key '{{a}}'.",
+                data: {
+                  a: keyName
+                }
+              })
+            }
+            keyNames.add(keyName)
+          })
+          // accessor pairs are compared by their first property,
+          // and duplicate keys are already reported on their own
+          units.reduce((prevUnit, curUnit) => {
+            const curProp = curUnit[0]
+            const prevProp = prevUnit[0]
             const curName = getExpressionSortName(curProp.key)
             const prevName = getExpressionSortName(prevProp.key)
-            if (curName.toLowerCase() < prevName.toLowerCase()) {
+            if (
+              getPropertyKeyName(curProp) !== getPropertyKeyName(prevProp) &&
+              propSorter(prevProp, curProp) > 0
+            ) {
               lastUnsortedProperty = curProp
-              context.report({
+              const isSameKind = getKindRank(curProp) === getKindRank(prevProp)
+              problems.push({
                 node: curProp,
-                message: "Expected '{{a}}' to be before '{{b}}'.",
+                message: isSameKind
+                  ? "Expected '{{a}}' to be before '{{b}}'."
+                  : "Expected {{kindA}} '{{a}}' to be before {{kindB}} '{{b}}'.",
                 data: {
                   a: curName,
-                  b: prevName
+                  b: prevName,
+                  kindA: getPropertyKind(curProp),
+                  kindB: getPropertyKind(prevProp)
                 }
               })
             }
-            return curProp
+            return curUnit
           })
-          if (lastUnsortedProperty && fix) {
-            context.report({
-              node: lastUnsortedProperty,
-              message: 'Expected object properties to be sorted.',
-              fix(fixer) {
-                const source = context.getSourceCode()
-                return fixer.replaceTextRange(
-                  getSpanningRange(span),
-                  span
-                    .slice()
-                    .sort(getSorter(prop => getExpressionSortName(prop.key).toLowerCase()))
-                    .reduce((textBefore, newProp, idx) => {
-                      const text =
-                        newProp !== node.properties[0]
-                          ? getCommentedText(source, newProp)
-                          : source.getText(newProp)
-                      const textAfter = getTextBetweenCommentedNodes(
-                        source,
-                        span[idx],
-                        span[idx + 1]
-                      )
-                      return textBefore + text + textAfter
-                    }, '')
-                )
+          // reordering duplicate keys would silently change which of their values wins
+          reportProblems(
+            context,
+            problems,
+            fix,
+            'Sort the object properties.',
+            lastUnsortedProperty &&
+              !hasDuplicateKeys && {
+                node: lastUnsortedProperty,
+                message: 'Expected object properties to be sorted.',
+                fix(fixer) {
+                  return fixer.replaceTextRange(
+                    getCommentedRange(source, span),
+                    getReorderedText(
+                      source,
+                      span,
+                      units
+                        .slice()
+                        .sort((unitA, unitB) => propSorter(unitA[0], unitB[0]))
+                        .reduce((sortedProps, unit) => sortedProps.concat(unit), [])
+                    )
+                  )
+                }
               }
-            })
-          }
+          )
         })
       }
-    }
+    })
   }
 }
 module.exports = rule
@@ -1,9 +1,12 @@
 const {
-  getSorter,
-  getCommentedText,
-  getTextBetweenCommentedNodes,
-  getSpanningRange,
-  getExpressionSortName
+  getPropertySorter,
+  getCommentedRange,
+  getReorderedText,
+  getNameComparator,
+  comparatorSchemaProperties,
+  getExpressionSortName,
+  hasSideEffectingKey,
+  reportProblems
 } = require('./utils')
 
 function isRestElement(node) {
@@ -14,6 +17,138 @@ function isRestElement(node) {
   )
 }
 
+/**
+ * Sorts the properties of a pattern, keeping properties with side effecting computed keys in place
+ * and sorting the properties between them independently, since keys are evaluated in order
+ * @param {import('babel-types').ObjectPattern['properties']} props
+ * @param {(a: any, b: any) => number} propSorter
+ */
+function getSortedProps(props, propSorter) {
+  let span = []
+  return props.reduce((sortedProps, prop, idx) => {
+    const isBoundary = !isRestElement(prop) && hasSideEffectingKey(prop)
+    if (!isBoundary) {
+      span.push(prop)
+    }
+    if (isBoundary || idx === props.length - 1) {
+      sortedProps.push(...span.sort(propSorter))
+      span = []
+    }
+    if (isBoundary) {
+      sortedProps.push(prop)
+    }
+    return sortedProps
+  }, [])
+}
+
+/**
+ * Collects the names of the variables a pattern binds
+ * { a, b: { c }, d = 1, ...e } -> 'a', 'c', 'd', 'e'
+ * @param {import('babel-types').LVal} node
+ * @param {Set<string>} [names]
+ */
+function getBoundNames(node, names = new Set()) {
+  if (node.type === 'Identifier') {
+    names.add(node.name)
+  } else if (node.type === 'Property' || node.type === 'ObjectProperty') {
+    getBoundNames(node.value, names)
+  } else if (node.type === 'ObjectPattern') {
+    node.properties.forEach(prop =>
+      getBoundNames(isRestElement(prop) ? prop.argument : prop.value, names)
+    )
+  } else if (node.type === 'ArrayPattern') {
+    node.elements.forEach(element => element && getBoundNames(element, names))
+  } else if (node.type === 'AssignmentPattern') {
+    getBoundNames(node.left, names)
+  } else if (isRestElement(node)) {
+    getBoundNames(node.argument, names)
+  }
+  return names
+}
+
+/**
+ * Collects the names of the variables an expression reads
+ * Reads inside functions are skipped since they only happen when the function is called
+ * @param {import('babel-types').Node} node
+ * @param {Record<string, string[]>} visitorKeys
+ * @param {Set<string>} names
+ */
+function getReadNamesOfExpression(node, visitorKeys, names) {
+  if (/Function/.test(node.type)) {
+    return
+  }
+  if (node.type === 'Identifier') {
+    names.add(node.name)
+  }
+  ;(visitorKeys[node.type] || []).forEach(key => {
+    // the names of properties, like `b` in `a.b` or `{ b: 1 }`, are not variables
+    if (
+      key === 'property' &&
+      (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') &&
+      !node.computed
+    ) {
+      return
+    }
+    if (key === 'key' && !node.computed) {
+      return
+    }
+    ;[].concat(node[key] || []).forEach(child => {
+      if (child && typeof child.type === 'string') {
+        getReadNamesOfExpression(child, visitorKeys, names)
+      }
+    })
+  })
+}
+
+/**
+ * Collects the names of the variables read while destructuring a pattern, by its computed keys
+ * and default values
+ * { b = a } -> 'a', { [a]: b } -> 'a', { b: { c = a } } -> 'a'
+ * @param {import('babel-types').Node} node
+ * @param {Record<string, string[]>} visitorKeys
+ * @param {Set<string>} [names]
+ */
+function getReadNames(node, visitorKeys, names = new Set()) {
+  if (node.type === 'Property' || node.type === 'ObjectProperty') {
+    if (node.computed) {
+      getReadNamesOfExpression(node.key, visitorKeys, names)
+    }
+    getReadNames(node.value, visitorKeys, names)
+  } else if (node.type === 'ObjectPattern') {
+    node.properties.forEach(prop => getReadNames(prop, visitorKeys, names))
+  } else if (node.type === 'ArrayPattern') {
+    node.elements.forEach(element => element && getReadNames(element, visitorKeys, names))
+  } else if (node.type === 'AssignmentPattern') {
+    getReadNames(node.left, visitorKeys, names)
+    getReadNamesOfExpression(node.right, visitorKeys, names)
+  } else if (isRestElement(node)) {
+    getReadNames(node.argument, visitorKeys, names)
+  }
+  return names
+}
+
+/**
+ * Finds the pairs of properties of a pattern where the first one reads a variable that the second one binds
+ * const { b = a, a } = obj -> [b, a, 'a']
+ * @param {import('babel-types').ObjectPattern['properties']} props
+ * @param {Record<string, string[]>} visitorKeys
+ * @returns {Array<[any, any, string]>}
+ */
+function getPropDependencies(props, visitorKeys) {
+  const boundNames = props.map(prop => getBoundNames(prop))
+  return props.reduce((dependencies, prop, idx) => {
+    if (isRestElement(prop)) return dependencies
+    getReadNames(prop, visitorKeys).forEach(name => {
+      boundNames.forEach((names, otherIdx) => {
+        if (otherIdx !== idx && names.has(name)) {
+          dependencies.push([prop, props[otherIdx], name])
+        }
+      })
+    })
+    return dependencies
+  }, [])
+}
+
 /** @type {import('eslint').Rule.RuleModule} */
 const rule = {
   meta: {
@@ -23,10 +158,15 @@ const rule = {
       recommended: true
     },
     fixable: 'code',
+    hasSuggestions: true,
     schema: [
       {
         type: 'object',
         properties: {
+          ...comparatorSchemaProperties,
+          ignoreDependentDefaults: {
+            type: 'boolean'
+          },
           fix: {
             type: 'boolean'
           }
@@ -36,25 +176,39 @@ const rule = {
   },
   create(context) {
     const options = context.options[0] || {}
-    const { fix = false } = options
+    const { fix = false, ignoreDependentDefaults = false } = options
+    const compareNames = getNameComparator(options)
+    const propSorter = getPropertySorter(
+      prop => (isRestElement(prop) ? Infinity : getExpressionSortName(prop.key)),
+      compareNames
+    )
+    const source = context.getSourceCode()
     return {
+      // nested patterns, like in `{ a: { c, b } = {} }` or `[{ b, a }]`, are visited on their own
       /** @param {import('babel-types').ObjectPattern} node */
       ObjectPattern(node) {
-        if (node.properties < 2) return
+        if (node.properties.length < 2) return
+        // default values and computed keys are evaluated in order, and may read the variables
+        // bound by the properties before them
+        const dependencies = getPropDependencies(node.properties, source.visitorKeys)
+        if (ignoreDependentDefaults && dependencies.length) return
+        const problems = []
         let isSorted = true
         node.properties.reduce((prevProp, curProp) => {
           if (isRestElement(curProp)) return curProp
+          // properties are not compared across side effecting computed keys
+          if (hasSideEffectingKey(curProp) || hasSideEffectingKey(prevProp)) return curProp
           const curName = getExpressionSortName(curProp.key)
           const prevName = getExpressionSortName(prevProp.key)
           if (isRestElement(prevProp)) {
             isSorted = false
-            context.report({
+            problems.push({
               node: prevProp,
               message: 'Expected rest element to be the last property.'
             })
-          } else if (curName.toLowerCase() < prevName.toLowerCase()) {
+          } else if (propSorter(prevProp, curProp) > 0) {
             isSorted = false
-            context.report({
+            problems.push({
               node: curProp,
               message: "Expected '{{a}}' to be before '{{b}}'",
               data: {
@@ -65,41 +219,39 @@ const rule = {
           }
           return curProp
         })
-        if (!isSorted && fix) {
-          context.report({
-            node: node,
-            message: 'Expected object properties to be sorted.',
-            fix(fixer) {
-              const source = context.getSourceCode()
-              const props = node.properties
-              return fixer.replaceTextRange(
-                getSpanningRange(props),
-                props
-                  .slice()
-                  .sort(
-                    getSorter(
-                      prop =>
-                        isRestElement(prop)
-                          ? Infinity
-                          : getExpressionSortName(prop.key).toLowerCase()
-                    )
-                  )
-                  .reduce((textBefore, newProp, idx) => {
-                    const text =
-                      newProp !== props[0]
-                        ? getCommentedText(source, newProp)
-                        : source.getText(newProp)
-                    const textAfter = getTextBetweenCommentedNodes(
-                      source,
-                      props[idx],
-                      props[idx + 1]
-                    )
-                    return textBefore + text + textAfter
-                  }, '')
-              )
-            }
-          })
+        if (isSorted) return
+        const sortedProps = getSortedProps(node.properties, propSorter)
+        const isBefore = (props, a, b) => props.indexOf(a) < props.indexOf(b)
+        const movedDependency = dependencies.find(
+          ([prop, boundProp]) =>
+            isBefore(node.properties, prop, boundProp) !== isBefore(sortedProps, prop, boundProp)
+        )
+        if (movedDependency) {
+          problems.forEach(problem => context.report(problem))
+          // like the report carrying the fix, the reason the keys are not fixed is only reported with `fix`
+          if (fix) {
+            context.report({
+              node: movedDependency[0],
+              message:
+                "Expected object properties to be sorted, but '{{a}}' reads '{{b}}' while destructuring and cannot be moved across it.",
+              data: {
+                a: getExpressionSortName(movedDependency[0].key),
+                b: movedDependency[2]
+              }
+            })
+          }
+          return
         }
+        reportProblems(context, problems, fix, 'Sort the object properties.', {
+          node: node,
+          message: 'Expected object properties to be sorted.',
+          fix(fixer) {
+            return fixer.replaceTextRange(
+              getCommentedRange(source, node.properties),
+              getReorderedText(source, node.properties, sortedProps)
+            )
+          }
+        })
       }
     }
   }
@@ -0,0 +1,288 @@
+/**
+ * Sorts the CommonJS require declarations at the top of a module by their source,
+ * using the same groups as import declarations:
+ *  require('side-effects-only')
+ *
+ *  const fs = require('fs')
+ *
+ *  const express = require('express')
+ *  const { Router } = require('express')
+ *
+ *  const app = require('./app')
+ *
+ * Requires whose return values are called, like `require('dotenv').config()`, are never moved
+ */
+
+const {
+  getSorter,
+  chainSorters,
+  compareNodePositions,
+  getNameComparator,
+  comparatorSchemaProperties,
+  getCommentedText,
+  getCommentedRange,
+  reportProblems,
+} = require('./utils')
+const { createImportClassifier, groupsSchema } = require('./import-groups')
+const { createExternalResolver } = require('./resolve')
+
+/**
+ * Determines if an expression is a call of the form:
+ * require('module')
+ * @param {import('babel-types').Expression} node
+ */
+function isRequireCall(node) {
+  return (
+    node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' &&
+    node.arguments.length === 1 &&
+    (node.arguments[0].type === 'Literal' || node.arguments[0].type === 'StringLiteral') &&
+    typeof node.arguments[0].value === 'string'
+  )
+}
+
+/**
+ * Finds the require call an expression is built on, if any, by following calls and property reads
+ * require('dotenv').config() -> require('dotenv')
+ * @param {import('babel-types').Expression} node
+ * @returns {import('babel-types').CallExpression | undefined}
+ */
+function findBaseRequireCall(node) {
+  if (isRequireCall(node)) {
+    return node
+  }
+  if (node.type === 'CallExpression') {
+    return findBaseRequireCall(node.callee)
+  }
+  if (node.type === 'MemberExpression' && !node.computed) {
+    return findBaseRequireCall(node.object)
+  }
+  return undefined
+}
+
+/**
+ * Gets the require call of a statement that can be moved, if it is one of:
+ * require('side-effect-only')
+ * const name = require('module')
+ * const { a, b } = require('module')
+ * const name = require('module').name
+ * @param {import('babel-types').Statement} statement
+ * @returns {import('babel-types').CallExpression | undefined}
+ */
+function getMovableRequireCall(statement) {
+  if (statement.type === 'ExpressionStatement') {
+    return isRequireCall(statement.expression) ? statement.expression : undefined
+  }
+  if (statement.type !== 'VariableDeclaration' || statement.declarations.length !== 1) {
+    return undefined
+  }
+  const { id, init } = statement.declarations[0]
+  if (!init || (id.type !== 'Identifier' && id.type !== 'ObjectPattern')) {
+    return undefined
+  }
+  // property reads are fine, but calls may have side effects that depend on the order of requires
+  let expression = init
+  while (expression.type === 'MemberExpression' && !expression.computed) {
+    expression = expression.object
+  }
+  return isRequireCall(expression) ? expression : undefined
+}
+
+/**
+ * Determines if a statement requires a module, whether it can be moved or not
+ * @param {import('babel-types').Statement} statement
+ */
+function isRequireStatement(statement) {
+  if (statement.type === 'ExpressionStatement') {
+    return !!findBaseRequireCall(statement.expression)
+  }
+  return (
+    statement.type === 'VariableDeclaration' &&
+    statement.declarations.some(
+      (declarator) => declarator.init && findBaseRequireCall(declarator.init)
+    )
+  )
+}
+
+/**
+ * Splits the require statements at the top of a module, after any directives like 'use strict',
+ * into contiguous runs of requires that can be moved
+ * @param {import('babel-types').Program} program
+ * @returns {import('babel-types').Statement[][]}
+ */
+function getRequireRuns(program) {
+  const runs = []
+  let run = []
+  const statements = program.body.filter((statement) => !statement.directive)
+  for (const statement of statements) {
+    if (!isRequireStatement(statement)) {
+      break
+    }
+    if (getMovableRequireCall(statement)) {
+      run.push(statement)
+    } else if (run.length) {
+      runs.push(run)
+      run = []
+    }
+  }
+  if (run.length) {
+    runs.push(run)
+  }
+  return runs
+}
+
+/**
+ * Determines if a require statement has no bindings
+ * @param {import('babel-types').Statement} statement
+ */
+function isRequireSideEffect(statement) {
+  return statement.type === 'ExpressionStatement'
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const rule = {
+  meta: {
+    docs: {
+      category: 'Node.js and CommonJS',
+      description: 'Enforce sorted require declarations at the top of CommonJS modules',
+      recommended: true,
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...comparatorSchemaProperties,
+          groups: groupsSchema,
+          fix: {
+            type: 'boolean',
+          },
+        },
+      },
+    ],
+  },
+  create(context) {
+    const options = context.options[0] || {}
+    const { fix = false, groups } = options
+    const classifier = createImportClassifier({
+      groups,
+      isExternal: createExternalResolver(context),
+    })
+    const getSource = (statement) => getMovableRequireCall(statement).arguments[0].value
+    const getGroupSortIdx = (statement) =>
+      classifier.getGroupIdx(getSource(statement), isRequireSideEffect(statement))
+    const compareNames = getNameComparator(options)
+    // side effect requires come first in their group and keep their original order,
+    // since the order they run in may matter
+    const sideEffectSorter = chainSorters(
+      getSorter((statement) => (isRequireSideEffect(statement) ? 0 : 1)),
+      (a, b) => (isRequireSideEffect(a) && isRequireSideEffect(b) ? compareNodePositions(a, b) : 0)
+    )
+
+    return {
+      /** @param {import('babel-types').Program} program */
+      Program(program) {
+        const source = context.getSourceCode()
+        const runs = getRequireRuns(program)
+        // side effect requires all go in the first group any of them belongs to,
+        // so that they keep their order even when no group has the `side-effect` kind
+        const sideEffectSortIdx = Math.min(
+          ...[]
+            .concat(...runs)
+            .filter(isRequireSideEffect)
+            .map(getGroupSortIdx)
+        )
+        const getRequireSortIdx = (statement) =>
+          isRequireSideEffect(statement) ? sideEffectSortIdx : getGroupSortIdx(statement)
+        // ties are broken by the exact sources, then by their original position
+        // so that autofixing always gives the same result
+        const declarationSorter = chainSorters(
+          getSorter(getRequireSortIdx),
+          sideEffectSorter,
+          getSorter(getSource, compareNames),
+          getSorter(getSource),
+          compareNodePositions
+        )
+
+        /** @type {import('babel-types').Statement[][]} */
+        const unsortedRuns = []
+        const problems = []
+        let lastUnsortedStatement
+
+        runs.forEach((run) => {
+          let isRunSorted = true
+          run.reduce((prevStatement, curStatement) => {
+            const curSortIdx = getRequireSortIdx(curStatement)
+            const prevSortIdx = getRequireSortIdx(prevStatement)
+            if (curSortIdx < prevSortIdx) {
+              isRunSorted = false
+              lastUnsortedStatement = curStatement
+              problems.push({
+                node: curStatement,
+                message: 'Expected {{a}} requires to be before {{b}} requires.',
+                data: {
+                  a: classifier.names[curSortIdx],
+                  b: classifier.names[prevSortIdx],
+                },
+              })
+            } else if (
+              curSortIdx === prevSortIdx &&
+              declarationSorter(prevStatement, curStatement) > 0
+            ) {
+              isRunSorted = false
+              lastUnsortedStatement = curStatement
+              problems.push({
+                node: curStatement,
+                message: "Expected requires from '{{a}}' to be before requires from '{{b}}'",
+                data: {
+                  a: getSource(curStatement),
+                  b: getSource(prevStatement),
+                },
+              })
+            }
+            return curStatement
+          }, run[0])
+          if (!isRunSorted) {
+            unsortedRuns.push(run)
+          }
+        })
+
+        // like sort-imports, fix everything with a single report
+        reportProblems(
+          context,
+          problems,
+          fix,
+          'Sort the requires.',
+          lastUnsortedStatement && {
+            node: lastUnsortedStatement,
+            message: 'Expected requires to be sorted.',
+            fix(fixer) {
+              // one line per declaration, with a blank line in between each group
+              return unsortedRuns.map((run) => {
+                let prevGroup
+                return fixer.replaceTextRange(
+                  getCommentedRange(source, run),
+                  run
+                    .slice()
+                    .sort(declarationSorter)
+                    .reduce((textBefore, newStatement, idx) => {
+                      const currentGroup = getRequireSortIdx(newStatement)
+                      const groupSeparator =
+                        prevGroup != null && prevGroup !== currentGroup ? '\n' : ''
+                      prevGroup = currentGroup
+                      const text = getCommentedText(source, newStatement)
+                      const textAfter = idx < run.length - 1 ? '\n' : ''
+                      return textBefore + groupSeparator + text + textAfter
+                    }, '')
+                )
+              })
+            },
+          }
+        )
+      },
+    }
+  },
+}
+module.exports = rule
@@ -0,0 +1,214 @@
+const {
+  getSorter,
+  chainSorters,
+  compareNodePositions,
+  getSortedText,
+  getCommentedRange,
+  getSpanningRange,
+  getNameComparator,
+  comparatorSchemaProperties,
+  getExpressionSortName,
+  mayHaveSideEffects,
+  reportProblems,
+  getMemberWithoutSeparator
+} = require('./utils')
+
+const TERMINATING_STATEMENT_TYPES = [
+  'BreakStatement',
+  'ContinueStatement',
+  'ReturnStatement',
+  'ThrowStatement'
+]
+
+/**
+ * Determines if a list of statements always ends with leaving the switch statement
+ * case 'a': { doSomething(); break } -> true
+ * @param {import('babel-types').Statement[]} statements
+ * @returns {boolean}
+ */
+function endsWithTerminatingStatement(statements) {
+  const lastStatement = statements[statements.length - 1]
+  if (!lastStatement) {
+    return false
+  }
+  return lastStatement.type === 'BlockStatement'
+    ? endsWithTerminatingStatement(lastStatement.body)
+    : TERMINATING_STATEMENT_TYPES.includes(lastStatement.type)
+}
+
+/**
+ * Determines if a list of statements ends with a block, which needs no semicolon to be followed by another case
+ * case 'a': { return 1 } -> true
+ * @param {import('babel-types').Statement[]} statements
+ */
+function endsWithBlock(statements) {
+  const lastStatement = statements[statements.length - 1]
+  return !!lastStatement && lastStatement.type === 'BlockStatement'
+}
+
+/**
+ * Groups the cases of a switch statement into the units that are moved together,
+ * which are cases with statements along with the empty cases right before them
+ * case 'a':
+ * case 'b':
+ *   return 1
+ * @param {import('babel-types').SwitchStatement} node
+ * @returns {Array<import('babel-types').SwitchCase[]>}
+ */
+function getCaseUnits(node) {
+  let unit = []
+  return node.cases.reduce((units, switchCase, idx) => {
+    unit.push(switchCase)
+    if (switchCase.consequent.length || idx === node.cases.length - 1) {
+      units.push(unit)
+      unit = []
+    }
+    return units
+  }, [])
+}
+
+/**
+ * Gets the rank of a case, cases with number tests come first, and the default case comes last
+ * @param {import('babel-types').SwitchCase} switchCase
+ */
+function getCaseRank(switchCase) {
+  if (!switchCase.test) {
+    return 2
+  }
+  return typeof switchCase.test.value === 'number' ? 0 : 1
+}
+
+/**
+ * Gets the sort name of a case, which is the value of its test
+ * Number tests are compared numerically
+ * @param {import('babel-types').SwitchCase} switchCase
+ * @returns {string | number}
+ */
+function getCaseSortName(switchCase) {
+  if (!switchCase.test) {
+    return Infinity
+  }
+  return typeof switchCase.test.value === 'number'
+    ? switchCase.test.value
+    : getExpressionSortName(switchCase.test)
+}
+
+/**
+ * @param {import('babel-types').SwitchCase} switchCase
+ */
+function getCaseDisplayName(switchCase) {
+  return switchCase.test ? getExpressionSortName(switchCase.test) : 'default'
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const rule = {
+  meta: {
+    docs: {
+      category: 'Stylistic Issues',
+      description: 'Enforce sorted cases in switch statements without fall-through',
+      recommended: true
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...comparatorSchemaProperties,
+          fix: {
+            type: 'boolean'
+          }
+        }
+      }
+    ]
+  },
+  create(context) {
+    const options = context.options[0] || {}
+    const { fix = false } = options
+    const compareNames = getNameComparator(options)
+    const source = context.getSourceCode()
+    // units of grouped cases are compared by their first case, or last when they contain the default case
+    const getUnitCase = unit => unit.find(switchCase => !switchCase.test) || unit[0]
+    const unitSorter = chainSorters(
+      getSorter(unit => getCaseRank(getUnitCase(unit))),
+      getSorter(unit => getCaseSortName(getUnitCase(unit)), compareNames),
+      getSorter(unit => getCaseSortName(getUnitCase(unit))),
+      (unitA, unitB) => compareNodePositions(unitA[0], unitB[0])
+    )
+
+    return {
+      /** @param {import('babel-types').SwitchStatement} node */
+      SwitchStatement(node) {
+        if (node.cases.length < 2) return
+        const units = getCaseUnits(node)
+        // moving a case that falls through, or whose test may have side effects, changes behavior
+        if (
+          units.length < 2 ||
+          units.some(unit => !endsWithTerminatingStatement(unit[unit.length - 1].consequent)) ||
+          node.cases.some(switchCase => switchCase.test && mayHaveSideEffects(switchCase.test))
+        ) {
+          return
+        }
+        const problems = []
+        let lastUnsortedCase
+        units.reduce((prevUnit, curUnit) => {
+          if (unitSorter(prevUnit, curUnit) > 0) {
+            lastUnsortedCase = curUnit[0]
+            problems.push({
+              node: curUnit[0],
+              message: "Expected case '{{a}}' to be before case '{{b}}'.",
+              data: {
+                a: getCaseDisplayName(getUnitCase(curUnit)),
+                b: getCaseDisplayName(getUnitCase(prevUnit))
+              }
+            })
+          }
+          return curUnit
+        })
+        if (!lastUnsortedCase) return
+        // each unit is moved as a whole, along with the comments that describe it
+        // when units share a line, the semicolons between them stay in place like separators
+        const sharesLines = units.some(
+          (unit, idx) =>
+            idx < units.length - 1 &&
+            unit[unit.length - 1].loc.end.line === units[idx + 1][0].loc.start.line
+        )
+        const unitNodes = units.map(unit => {
+          const unitNode = { range: getSpanningRange(unit), unit }
+          return sharesLines ? getMemberWithoutSeparator(source, unitNode) : unitNode
+        })
+        const unitNodeSorter = (unitNodeA, unitNodeB) => unitSorter(unitNodeA.unit, unitNodeB.unit)
+        // only a block can end a unit that is followed by another one on the same line without a semicolon
+        const isFixable = unitNodes
+          .slice()
+          .sort(unitNodeSorter)
+          .every((unitNode, idx) => {
+            const tokenAfter = source.getTokenAfter(unitNodes[idx])
+            return (
+              tokenAfter.value === ';' ||
+              tokenAfter.value === '}' ||
+              tokenAfter.loc.start.line !== source.getLastToken(unitNodes[idx]).loc.end.line ||
+              endsWithBlock(unitNode.unit[unitNode.unit.length - 1].consequent)
+            )
+          })
+        reportProblems(
+          context,
+          problems,
+          fix,
+          'Sort the switch cases.',
+          isFixable && {
+            node: lastUnsortedCase,
+            message: 'Expected switch cases to be sorted.',
+            fix(fixer) {
+              return fixer.replaceTextRange(
+                getCommentedRange(source, unitNodes),
+                getSortedText(source, unitNodes, unitNodeSorter)
+              )
+            }
+          }
+        )
+      }
+    }
+  }
+}
+module.exports = rule
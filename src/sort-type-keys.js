@@ -0,0 +1,144 @@
+const {
+  getSorter,
+  getPropertySorter,
+  chainSorters,
+  getSortedText,
+  getNameComparator,
+  comparatorSchemaProperties,
+  getExpressionSortName,
+  hasSideEffectingKey,
+  reportProblems,
+  getCommentedRange,
+  getMemberWithoutSeparator
+} = require('./utils')
+
+/**
+ * Determines if a member of an interface or type literal has a key that can be sorted by,
+ * index signatures (`[key: string]: T`), call signatures (`(): T`) and construct signatures
+ * (`new (): T`) do not
+ * @param {any} member
+ */
+function isKeyedMember(member) {
+  return (
+    (member.type === 'TSPropertySignature' || member.type === 'TSMethodSignature') &&
+    !hasSideEffectingKey(member)
+  )
+}
+
+/**
+ * Splits the members of an interface or type literal into the spans that can be sorted independently,
+ * members without keys are never moved and separate the spans
+ * @param {any[]} members
+ */
+function getKeyedMemberSpans(members) {
+  let memberSpan = []
+  return members.reduce((memberSpans, member, idx) => {
+    if (!isKeyedMember(member)) {
+      if (memberSpan.length) {
+        memberSpans.push(memberSpan)
+        memberSpan = []
+      }
+    } else {
+      memberSpan.push(member)
+    }
+    if (memberSpan.length && idx === members.length - 1) {
+      memberSpans.push(memberSpan)
+    }
+    return memberSpans
+  }, [])
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const rule = {
+  meta: {
+    docs: {
+      category: 'Stylistic Issues',
+      description: 'Enforce sorted keys in TypeScript interfaces and type literals',
+      recommended: false
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...comparatorSchemaProperties,
+          requiredFirst: {
+            type: 'boolean'
+          },
+          fix: {
+            type: 'boolean'
+          }
+        }
+      }
+    ]
+  },
+  create(context) {
+    const options = context.options[0] || {}
+    const { fix = false, requiredFirst = false } = options
+    const compareNames = getNameComparator(options)
+    const source = context.getSourceCode()
+    // `readonly` and `?` modifiers do not change the sort name of a key
+    const memberSorter = chainSorters(
+      getSorter(member => (requiredFirst && member.optional ? 1 : 0)),
+      getPropertySorter(member => getExpressionSortName(member.key), compareNames)
+    )
+
+    /**
+     * @param {any[]} members
+     */
+    function checkMembers(members) {
+      getKeyedMemberSpans(members).forEach(span => {
+        if (span.length < 2) return
+        const problems = []
+        let lastUnsortedMember
+        span.reduce((prevMember, curMember) => {
+          if (memberSorter(prevMember, curMember) > 0) {
+            lastUnsortedMember = curMember
+            problems.push({
+              node: curMember,
+              message:
+                requiredFirst && prevMember.optional && !curMember.optional
+                  ? "Expected required key '{{a}}' to be before optional key '{{b}}'."
+                  : "Expected '{{a}}' to be before '{{b}}'.",
+              data: {
+                a: getExpressionSortName(curMember.key),
+                b: getExpressionSortName(prevMember.key)
+              }
+            })
+          }
+          return curMember
+        })
+        reportProblems(
+          context,
+          problems,
+          fix,
+          'Sort the type keys.',
+          lastUnsortedMember && {
+            node: lastUnsortedMember,
+            message: 'Expected type keys to be sorted.',
+            fix(fixer) {
+              const trimmedSpan = span.map(member => getMemberWithoutSeparator(source, member))
+              return fixer.replaceTextRange(
+                getCommentedRange(source, trimmedSpan),
+                getSortedText(source, trimmedSpan, memberSorter)
+              )
+            }
+          }
+        )
+      })
+    }
+
+    return {
+      /** @param {any} node */
+      TSInterfaceBody(node) {
+        checkMembers(node.body)
+      },
+      /** @param {any} node */
+      TSTypeLiteral(node) {
+        checkMembers(node.members)
+      }
+    }
+  }
+}
+module.exports = rule
@@ -0,0 +1,162 @@
+const {
+  getSorter,
+  chainSorters,
+  compareNodePositions,
+  getSortedText,
+  getNameComparator,
+  comparatorSchemaProperties,
+  reportProblems,
+  getCommentedRange
+} = require('./utils')
+
+/**
+ * Gets a member of a union or intersection type with its range including the parentheses around it,
+ * so that `(A | B) & C` is not fixed to `C & A | B`
+ * @param {import('eslint').SourceCode} source
+ * @param {any} member
+ * @param {any} parent
+ */
+function getParenthesizedMember(source, member, parent) {
+  let range = member.range
+  let tokenBefore = source.getTokenBefore(member)
+  let tokenAfter = source.getTokenAfter(member)
+  while (
+    tokenBefore &&
+    tokenAfter &&
+    tokenBefore.value === '(' &&
+    tokenAfter.value === ')' &&
+    tokenBefore.range[0] >= parent.range[0] &&
+    tokenAfter.range[1] <= parent.range[1]
+  ) {
+    range = [tokenBefore.range[0], tokenAfter.range[1]]
+    tokenBefore = source.getTokenBefore(tokenBefore)
+    tokenAfter = source.getTokenAfter(tokenAfter)
+  }
+  return range === member.range ? member : { ...member, range }
+}
+
+/**
+ * Splits the members of a union or intersection type into the spans that can be sorted independently,
+ * function types in intersections are never moved since their order decides the order of overloads
+ * @param {any} node
+ */
+function getMemberSpans(node) {
+  let memberSpan = []
+  return node.types.reduce((memberSpans, member, idx) => {
+    if (
+      node.type === 'TSIntersectionType' &&
+      (member.type === 'TSFunctionType' || member.type === 'TSConstructorType')
+    ) {
+      if (memberSpan.length) {
+        memberSpans.push(memberSpan)
+        memberSpan = []
+      }
+    } else {
+      memberSpan.push(member)
+    }
+    if (memberSpan.length && idx === node.types.length - 1) {
+      memberSpans.push(memberSpan)
+    }
+    return memberSpans
+  }, [])
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const rule = {
+  meta: {
+    docs: {
+      category: 'Stylistic Issues',
+      description: 'Enforce sorted members in TypeScript union and intersection types',
+      recommended: false
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...comparatorSchemaProperties,
+          intersections: {
+            type: 'boolean'
+          },
+          fix: {
+            type: 'boolean'
+          }
+        }
+      }
+    ]
+  },
+  create(context) {
+    const options = context.options[0] || {}
+    const { fix = false, intersections = true } = options
+    const compareNames = getNameComparator(options)
+    const source = context.getSourceCode()
+    // members are sorted by their text, including the parentheses around them
+    // 'large' | 'medium' | 'small', A & B & C
+    const getMemberName = member => source.getText(member)
+    const memberSorter = chainSorters(
+      getSorter(getMemberName, compareNames),
+      getSorter(getMemberName),
+      compareNodePositions
+    )
+
+    /**
+     * @param {any} node
+     */
+    function checkMembers(node) {
+      getMemberSpans(node).forEach(memberSpan => {
+        if (memberSpan.length < 2) return
+        const span = memberSpan.map(member => getParenthesizedMember(source, member, node))
+        const problems = []
+        let lastUnsortedMember
+        span.reduce((prevMember, curMember) => {
+          if (memberSorter(prevMember, curMember) > 0) {
+            lastUnsortedMember = curMember
+            problems.push({
+              node: curMember,
+              message: 'Expected {{a}} to be before {{b}}.',
+              data: {
+                a: getMemberName(curMember),
+                b: getMemberName(prevMember)
+              }
+            })
+          }
+          return curMember
+        })
+        const isUnion = node.type === 'TSUnionType'
+        reportProblems(
+          context,
+          problems,
+          fix,
+          isUnion ? 'Sort the union members.' : 'Sort the intersection members.',
+          lastUnsortedMember && {
+            node: lastUnsortedMember,
+            message: isUnion
+              ? 'Expected union members to be sorted.'
+              : 'Expected intersection members to be sorted.',
+            fix(fixer) {
+              return fixer.replaceTextRange(
+                getCommentedRange(source, span),
+                getSortedText(source, span, memberSorter)
+              )
+            }
+          }
+        )
+      })
+    }
+
+    return {
+      /** @param {any} node */
+      TSUnionType(node) {
+        checkMembers(node)
+      },
+      /** @param {any} node */
+      TSIntersectionType(node) {
+        if (intersections) {
+          checkMembers(node)
+        }
+      }
+    }
+  }
+}
+module.exports = rule
@@ -7,19 +7,183 @@ function getSpanningRange(nodes) {
   return [nodes[0].range[0], nodes[nodes.length - 1].range[1]]
 }
 
+// comments at the top of a file that are about the whole file rather than the statement after them,
+// like license banners, ESLint directives and pragmas
+const FILE_HEADER_COMMENT_RE =
+  /^\s*(?:!|eslint(?:-disable|-enable|-env)?(?:\s|$)|globals?\s|exported\s|istanbul ignore file|jshint\s)|@(?:license|preserve|copyright|flow|noflow|format|prettier|jsx\w*|ts-check|ts-nocheck)\b|\bcopyright\b/i
+
+/**
+ * @param {import('eslint').AST.Token | import('estree').Comment} token
+ */
+function isCommentToken(token) {
+  return token.type === 'Line' || token.type === 'Block' || token.type === 'Shebang'
+}
+
+/**
+ * @param {import('eslint').SourceCode} source
+ * @param {number} index
+ */
+function getLineOfIndex(source, index) {
+  return source.getLocFromIndex(index).line
+}
+
 /**
+ * Determines if there is nothing but directives like 'use strict' before a position in a file
+ * @param {import('eslint').SourceCode} source
+ * @param {import('eslint').AST.Token | null} tokenBefore the last token before the position
+ */
+function isFileHead(source, tokenBefore) {
+  return (
+    !tokenBefore ||
+    source.ast.body.some(
+      statement => statement.directive && statement.range[1] === tokenBefore.range[1]
+    )
+  )
+}
+
+/**
+ * Gets the comments before a node that describe it and are moved along with it:
+ * - comments on the same line as the token before them describe what is before them,
+ *   unless the node is on that line too
+ * - at the top of a file, comments about the whole file like license banners, ESLint directives
+ *   and pragmas stay in place, along with every comment before them or separated from the node by a blank line
  * @param {import('eslint').SourceCode} source
  * @param {import('babel-types').Node} node
  */
-function getCommentedText(source, node) {
+function getLeadingComments(source, node) {
   const comments = source.getCommentsBefore(node)
-  const range = comments.length
-    ? getSpanningRange([comments[0], node])
-    : getSpanningRange([node, node])
+  if (!comments.length) {
+    return comments
+  }
+  const tokenBefore = source.getTokenBefore(comments[0])
+  const nodeLine = getLineOfIndex(source, node.range[0])
+  const leadingComments = comments.filter(
+    comment =>
+      !tokenBefore ||
+      getLineOfIndex(source, comment.range[0]) !== getLineOfIndex(source, tokenBefore.range[1]) ||
+      getLineOfIndex(source, comment.range[0]) === nodeLine
+  )
+  if (!isFileHead(source, tokenBefore)) {
+    return leadingComments
+  }
+  let idx = leadingComments.length
+  let start = node.range[0]
+  while (idx > 0) {
+    const comment = leadingComments[idx - 1]
+    if (
+      comment.type === 'Shebang' ||
+      FILE_HEADER_COMMENT_RE.test(comment.value) ||
+      getLineOfIndex(source, start) - getLineOfIndex(source, comment.range[1]) > 1
+    ) {
+      break
+    }
+    start = comment.range[0]
+    idx--
+  }
+  return leadingComments.slice(idx)
+}
+
+/**
+ * Gets the comma or semicolon right after a node on the same line, if any, which may follow comments
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').Node} node
+ */
+function getSeparatorAfter(source, node) {
+  const token = source.getTokenAfter(node)
+  return token &&
+    token.type === 'Punctuator' &&
+    (token.value === ',' || token.value === ';') &&
+    getLineOfIndex(source, token.range[0]) === getLineOfIndex(source, node.range[1])
+    ? token
+    : null
+}
+
+/**
+ * Determines if a token closes a list, like the brace of an object or the end of a JSX tag
+ * @param {import('eslint').SourceCode} source
+ * @param {import('eslint').AST.Token} token
+ */
+function isClosingToken(source, token) {
+  if (token.type !== 'Punctuator') {
+    return false
+  }
+  if (token.value === '/') {
+    const nextToken = source.getTokenAfter(token)
+    return !!nextToken && nextToken.value === '>' && nextToken.range[0] === token.range[1]
+  }
+  return ['}', ']', ')', '>', '/>'].includes(token.value)
+}
+
+/**
+ * Gets the comments after a node that start on the same line as its end and describe it,
+ * which are the comments between the node and the separator following it,
+ * and the comments after the separator as long as nothing else follows them on that line
+ * but the end of the list
+ * a: 1, // about a
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').Node} node
+ */
+function getTrailingComments(source, node) {
+  const line = getLineOfIndex(source, node.range[1])
+  const separator = getSeparatorAfter(source, node)
+  const isSeparator = token => !!separator && token.range[0] === separator.range[0]
+  let token = source.getTokenAfter(node, { includeComments: true })
+  const comments = []
+  while (
+    token &&
+    (isCommentToken(token) || isSeparator(token)) &&
+    getLineOfIndex(source, token.range[0]) === line
+  ) {
+    if (!isSeparator(token)) {
+      comments.push(token)
+    }
+    token = source.getTokenAfter(token, { includeComments: true })
+  }
+  return !token || getLineOfIndex(source, token.range[0]) > line || isClosingToken(source, token)
+    ? comments
+    : comments.filter(comment => isBeforeSeparator(comment, separator))
+}
+
+/**
+ * @param {import('estree').Comment} comment
+ * @param {import('eslint').AST.Token | null} separator
+ */
+function isBeforeSeparator(comment, separator) {
+  return !!separator && comment.range[1] <= separator.range[0]
+}
+
+/**
+ * Gets the range of a list of nodes along with the comments that describe them,
+ * from the leading comments of the first node to the trailing comments of the last node,
+ * or the separator after it so that a trailing comment moved there goes after the separator
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').Node[]} nodes
+ * @returns {[number, number]}
+ */
+function getCommentedRange(source, nodes) {
+  const lastNode = nodes[nodes.length - 1]
+  const leadingComments = getLeadingComments(source, nodes[0])
+  const trailingComments = getTrailingComments(source, lastNode)
+  const separator = getSeparatorAfter(source, lastNode)
+  const lastComment = trailingComments[trailingComments.length - 1]
+  return getSpanningRange([
+    leadingComments[0] || nodes[0],
+    lastComment && !isBeforeSeparator(lastComment, separator) ? lastComment : separator || lastNode
+  ])
+}
+
+/**
+ * Gets the text of a node along with the comments that describe it, for lists without separators like statements
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').Node} node
+ */
+function getCommentedText(source, node) {
+  const range = getCommentedRange(source, [node])
   return source.getText().slice(range[0], range[1])
 }
 
 /**
+ * Gets the text between two nodes without the comments that describe them
  * @param {import('eslint').SourceCode} source
  * @param {import('babel-types').Node} nodeA
  * @param {import('babel-types').Node | undefined} nodeB
@@ -28,28 +192,304 @@ function getTextBetweenCommentedNodes(source, nodeA, nodeB) {
   if (!nodeB) {
     return ''
   }
-  const commentsBeforeNodeB = source.getCommentsBefore(nodeB)
-  const nextNode = commentsBeforeNodeB.length ? commentsBeforeNodeB[0] : nodeB
-  return source.getText().slice(nodeA.range[1], nextNode.range[0])
+  return source
+    .getText()
+    .slice(getCommentedRange(source, [nodeA])[1], getCommentedRange(source, [nodeB])[0])
+}
+
+/**
+ * Gets the text of a list of nodes in a new order, to replace the range from `getCommentedRange`
+ * Each node is moved along with its leading and trailing comments, while the text originally between the nodes,
+ * like separators and line breaks, stays in place
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').Node[]} nodes
+ * @param {import('babel-types').Node[]} reorderedNodes
+ */
+function getReorderedText(source, nodes, reorderedNodes) {
+  const text = source.getText()
+  const range = getCommentedRange(source, nodes)
+  const getCommentsText = comments =>
+    comments.length ? text.slice(comments[0].range[0], comments[comments.length - 1].range[1]) : ''
+  // comments from both sides of the separator of their node are joined, leaving out the separator
+  const getJoinedCommentsText = (comments, separator) =>
+    [
+      comments.filter(comment => isBeforeSeparator(comment, separator)),
+      comments.filter(comment => !isBeforeSeparator(comment, separator))
+    ]
+      .map(getCommentsText)
+      .filter(Boolean)
+      .join(' ')
+  return reorderedNodes.reduce((textBefore, newNode, idx) => {
+    const node = nodes[idx]
+    const separator = getSeparatorAfter(source, node)
+    const trailingComments = getTrailingComments(source, node)
+    const commentsBefore = trailingComments.filter(comment => isBeforeSeparator(comment, separator))
+    const commentsAfter = trailingComments.filter(comment => !isBeforeSeparator(comment, separator))
+    const newSeparator = getSeparatorAfter(source, newNode)
+    const newTrailingComments = getTrailingComments(source, newNode)
+    const gapEnd =
+      idx < nodes.length - 1 ? getCommentedRange(source, [nodes[idx + 1]])[0] : range[1]
+    // the comments of the new node that were before its separator go before the separator here too,
+    // unless there is none here, and so do all of its block comments when the next node is on the same line
+    const isSingleLineGap = !!separator && !/\r?\n/.test(text.slice(separator.range[1], gapEnd))
+    const newCommentsBefore = !separator
+      ? []
+      : isSingleLineGap && newTrailingComments.every(comment => comment.type === 'Block')
+      ? newTrailingComments
+      : newTrailingComments.filter(comment => isBeforeSeparator(comment, newSeparator))
+    const newCommentsAfter = newTrailingComments.filter(
+      comment => newCommentsBefore.indexOf(comment) === -1
+    )
+    // the text up to the separator keeps its place without the comments before it
+    let textToSeparator = ''
+    if (separator) {
+      textToSeparator = commentsBefore.length
+        ? text.slice(node.range[1], commentsBefore[0].range[0]).replace(/[^\S\r\n]+$/, '') +
+          text.slice(commentsBefore[commentsBefore.length - 1].range[1], separator.range[1])
+        : text.slice(node.range[1], separator.range[1])
+      if (newCommentsBefore.length) {
+        textToSeparator = ` ${getJoinedCommentsText(
+          newCommentsBefore,
+          newSeparator
+        )}${textToSeparator}`
+      }
+    }
+    const start = separator ? separator.range[1] : node.range[1]
+    // the text after a node is split around its trailing comments, or at the first line break,
+    // or right after the node when the next one is on the same line
+    let gapBefore
+    let afterStart
+    if (commentsAfter.length) {
+      gapBefore = text.slice(start, commentsAfter[0].range[0])
+      afterStart = commentsAfter[commentsAfter.length - 1].range[1]
+    } else {
+      const gap = text.slice(start, gapEnd)
+      const lineBreakIdx = gap.search(/\r?\n/)
+      gapBefore = lineBreakIdx === -1 ? '' : gap.slice(0, lineBreakIdx)
+      afterStart = start + gapBefore.length
+    }
+    const gapAfter = text.slice(afterStart, gapEnd)
+    let textAfter
+    if (newCommentsAfter.length) {
+      const lastComment = newCommentsAfter[newCommentsAfter.length - 1]
+      // line comments swallow whatever follows them on the same line
+      const needsLineBreak =
+        lastComment.type === 'Line' && !/^[^\S\r\n]*(\r?\n|$)/.test(text.slice(afterStart))
+      textAfter =
+        gapBefore.replace(/[^\S\r\n]*$/, ' ') +
+        getJoinedCommentsText(newCommentsAfter, newSeparator) +
+        (needsLineBreak ? '\n' : '') +
+        gapAfter
+    } else if (commentsAfter.length) {
+      textAfter = gapBefore.replace(/[^\S\r\n]+$/, '') + gapAfter
+    } else {
+      textAfter = gapBefore + gapAfter
+    }
+    const newRange = getCommentedRange(source, [newNode])
+    return textBefore + text.slice(newRange[0], newNode.range[1]) + textToSeparator + textAfter
+  }, '')
+}
+
+/**
+ * Sorts nodes with a comparison function, each node is moved along with the comments that describe it
+ * The text replaces the range from `getCommentedRange`
+ * @param {import('eslint').SourceCode} source
+ * @param {import('babel-types').Node[]} nodes
+ * @param {(a: any, b: any) => number} compare
+ */
+function getSortedText(source, nodes, compare) {
+  return getReorderedText(source, nodes, nodes.slice().sort(compare))
+}
+
+/**
+ * Gets a member with its range excluding its trailing `;` or `,` separator,
+ * so that separators stay in place when the members are reordered
+ * interface Props { b: string; a?: number } -> 'b: string', 'a?: number'
+ * class Foo { b = 1; a = 2 } -> 'b = 1', 'a = 2'
+ * @param {import('eslint').SourceCode} source
+ * @param {any} member
+ */
+function getMemberWithoutSeparator(source, member) {
+  const lastToken = source.getLastToken(member)
+  return lastToken.type === 'Punctuator' && (lastToken.value === ';' || lastToken.value === ',')
+    ? { ...member, range: [member.range[0], source.getTokenBefore(lastToken).range[1]] }
+    : member
+}
+
+/**
+ * Compares strings by their UTF-16 code units, like the `<` operator
+ * @param {string} a
+ * @param {string} b
+ */
+function compareCodeUnits(a, b) {
+  return a === b ? 0 : a < b ? -1 : 1
+}
+
+/**
+ * Compares strings with runs of digits compared by their numeric value, so 'item2' comes before 'item10'
+ * @param {string} a
+ * @param {string} b
+ */
+function compareNatural(a, b) {
+  // splitting on a capturing group puts the runs of digits at odd indices
+  const aChunks = a.split(/(\d+)/)
+  const bChunks = b.split(/(\d+)/)
+  for (let i = 0; i < Math.min(aChunks.length, bChunks.length); i++) {
+    let diff
+    if (i % 2) {
+      const aDigits = aChunks[i].replace(/^0+/, '')
+      const bDigits = bChunks[i].replace(/^0+/, '')
+      diff = aDigits.length - bDigits.length || compareCodeUnits(aDigits, bDigits)
+    } else {
+      diff = compareCodeUnits(aChunks[i], bChunks[i])
+    }
+    if (diff) {
+      return diff
+    }
+  }
+  return aChunks.length - bChunks.length
+}
+
+/**
+ * @param {string} name
+ */
+function swapCase(name) {
+  return name.replace(/[a-zA-Z]/g, char =>
+    char === char.toLowerCase() ? char.toUpperCase() : char.toLowerCase()
+  )
+}
+
+/** JSON schema properties of the sorting options shared by every rule */
+const comparatorSchemaProperties = {
+  natural: {
+    type: 'boolean'
+  },
+  locale: {
+    type: 'string'
+  },
+  caseSensitive: {
+    type: 'boolean'
+  },
+  caseFirst: {
+    type: 'string',
+    enum: ['upper', 'lower']
+  },
+  direction: {
+    type: 'string',
+    enum: ['ascending', 'descending']
+  }
+}
+
+/**
+ * Create a comparison function for sort names from the sorting options shared by every rule
+ * By default names are compared by their lowercased UTF-16 code units
+ * @param {object} options
+ * @param {boolean} [options.natural] compare runs of digits by their numeric value
+ * @param {string} [options.locale] compare with `Intl.Collator` in the given locale
+ * @param {boolean} [options.caseSensitive] do not ignore the case of names
+ * @param {'upper' | 'lower'} [options.caseFirst] which case comes first when case sensitive
+ * @param {'ascending' | 'descending'} [options.direction]
+ * @returns {(a: string, b: string) => number}
+ */
+function getNameComparator({
+  natural = false,
+  locale,
+  caseSensitive = false,
+  caseFirst = 'upper',
+  direction = 'ascending'
+} = {}) {
+  let compare
+  if (locale) {
+    // collators only use case to break ties between otherwise equal names
+    const collator = new Intl.Collator(locale, {
+      numeric: natural,
+      sensitivity: caseSensitive ? 'variant' : 'accent',
+      caseFirst: caseSensitive ? caseFirst : 'false'
+    })
+    compare = collator.compare
+  } else {
+    // uppercase letters have lower code units than lowercase ones
+    const normalize = !caseSensitive
+      ? name => name.toLowerCase()
+      : caseFirst === 'lower'
+      ? swapCase
+      : name => name
+    const compareNormalized = natural ? compareNatural : compareCodeUnits
+    compare = (a, b) => compareNormalized(normalize(a), normalize(b))
+  }
+  return direction === 'descending' ? (a, b) => compare(b, a) : compare
 }
 
 /**
  * Create a comparison function for use in Array.prototype.sort
+ * Numbers are compared numerically, and strings with the given comparison function
  * @param {(item: any) => string | number} sortFunction
+ * @param {(a: string, b: string) => number} [compareNames]
  */
-function getSorter(sortFunction) {
+function getSorter(sortFunction, compareNames = compareCodeUnits) {
   return (a, b) => {
     const aName = sortFunction(a)
     const bName = sortFunction(b)
     if (aName === Infinity || bName === -Infinity) {
-      return 1
+      return aName === bName ? 0 : 1
     } else if (bName === Infinity || aName === -Infinity) {
       return -1
     }
-    return aName === bName ? 0 : aName < bName ? -1 : 1
+    if (typeof aName === 'number' || typeof bName === 'number') {
+      return aName === bName ? 0 : aName < bName ? -1 : 1
+    }
+    return compareNames(aName, bName)
   }
 }
 
+/**
+ * Combine comparison functions, each one breaking the ties of the ones before it
+ * @param {...((a: any, b: any) => number)} sorters
+ */
+function chainSorters(...sorters) {
+  return (a, b) => sorters.reduce((result, sorter) => result || sorter(a, b), 0)
+}
+
+/**
+ * Compares nodes by their original position, as the last tiebreaker to make sorting deterministic
+ * @param {import('babel-types').Node} a
+ * @param {import('babel-types').Node} b
+ */
+function compareNodePositions(a, b) {
+  return a.range[0] - b.range[0]
+}
+
+/**
+ * Gets the rank of the kind of a property key, to order properties with keys of the same name:
+ * identifiers, then literals, then computed keys
+ * @param {import('babel-types').ObjectProperty} prop
+ */
+function getPropertyKeyKindIdx(prop) {
+  if (!prop.key) {
+    return Infinity
+  }
+  if (prop.computed) {
+    return 2
+  }
+  return prop.key.type === 'Identifier' ? 0 : 1
+}
+
+/**
+ * Create a comparison function for properties of objects and patterns
+ * Properties with names that compare as equal are ordered by their exact names, then by the kind
+ * of their keys, then by their original position so that autofixing always gives the same result
+ * @param {(prop: any) => string | number} sortFunction
+ * @param {(a: string, b: string) => number} compareNames
+ */
+function getPropertySorter(sortFunction, compareNames) {
+  return chainSorters(
+    getSorter(sortFunction, compareNames),
+    getSorter(sortFunction),
+    getSorter(getPropertyKeyKindIdx),
+    compareNodePositions
+  )
+}
+
 /**
  * @param {import('babel-types').Expression} node
  * @returns {string}
@@ -71,15 +511,218 @@ function getExpressionSortName(node) {
         (text, quasi, idx) => text + quasi.value.raw + getExpressionSortName(node.expressions[idx]),
         ''
       )
+    case 'ThisExpression':
+      return 'this'
+    // #count -> '#count'
+    case 'PrivateName':
+      return `#${node.id.name}`
+    case 'PrivateIdentifier':
+      return `#${node.name}`
+    // Symbol.iterator -> 'Symbol.iterator', KEYS[key] -> 'KEYS[key]'
+    case 'MemberExpression':
+    case 'OptionalMemberExpression': {
+      const objectName = getExpressionSortName(node.object)
+      const propertyName = getExpressionSortName(node.property)
+      return node.computed ? `${objectName}[${propertyName}]` : `${objectName}.${propertyName}`
+    }
+    // getKey() -> 'getKey()'
+    case 'CallExpression':
+    case 'OptionalCallExpression':
+      return `${getExpressionSortName(node.callee)}()`
+    case 'ChainExpression':
+      return getExpressionSortName(node.expression)
     default:
       return ''
   }
 }
 
+/**
+ * Determines if a key always refers to the same property, regardless of the values of any variables
+ * @param {import('babel-types').Expression} node
+ */
+function isStaticKey(node) {
+  switch (node.type) {
+    case 'Identifier':
+    case 'Literal':
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return true
+    case 'TemplateLiteral':
+      return !node.expressions.length
+    default:
+      return false
+  }
+}
+
+/**
+ * Gets the name of the property that a property key defines, keys defining the same property get the same name
+ * a, 'a', ['a'] and [`a`] -> 'a', [a] -> '[a]'
+ * @param {import('babel-types').ObjectProperty | import('babel-types').ObjectMethod} prop
+ */
+function getPropertyKeyName(prop) {
+  const name = getExpressionSortName(prop.key)
+  return prop.computed && !isStaticKey(prop.key) ? `[${name}]` : name
+}
+
+/**
+ * Determines if evaluating an expression may have side effects, like calling a function
+ * Reading variables and properties is assumed to be free of side effects
+ * @param {import('babel-types').Expression} node
+ * @returns {boolean}
+ */
+function mayHaveSideEffects(node) {
+  switch (node.type) {
+    case 'Identifier':
+    case 'ThisExpression':
+    case 'Literal':
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+    case 'NullLiteral':
+    case 'BigIntLiteral':
+    case 'RegExpLiteral':
+      return false
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      return mayHaveSideEffects(node.object) || (node.computed && mayHaveSideEffects(node.property))
+    case 'ChainExpression':
+      return mayHaveSideEffects(node.expression)
+    case 'TemplateLiteral':
+      return node.expressions.some(mayHaveSideEffects)
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+      return mayHaveSideEffects(node.left) || mayHaveSideEffects(node.right)
+    case 'UnaryExpression':
+      return node.operator === 'delete' || mayHaveSideEffects(node.argument)
+    case 'ConditionalExpression':
+      return (
+        mayHaveSideEffects(node.test) ||
+        mayHaveSideEffects(node.consequent) ||
+        mayHaveSideEffects(node.alternate)
+      )
+    // creating functions, arrays and objects is free of side effects, unlike what they contain
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return false
+    case 'ArrayExpression':
+      return node.elements.some(element => !!element && mayHaveSideEffects(element))
+    case 'ObjectExpression':
+      return node.properties.some(prop =>
+        prop.type === 'Property' || prop.type === 'ObjectProperty'
+          ? hasSideEffectingKey(prop) || mayHaveSideEffects(prop.value)
+          : prop.type !== 'ObjectMethod'
+      )
+    default:
+      return true
+  }
+}
+
+/**
+ * Determines if a property has a computed key that must be evaluated in its original position,
+ * such properties are never moved, and the properties around them are sorted independently
+ * @param {import('babel-types').ObjectProperty | import('babel-types').ObjectMethod} prop
+ */
+function hasSideEffectingKey(prop) {
+  return !!prop.computed && mayHaveSideEffects(prop.key)
+}
+
+/**
+ * Converts a glob into a regular expression, `**` matches across path segments, `*` and `?` do not
+ * @param {string} glob
+ */
+function globToRegExp(glob) {
+  let re = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*') {
+      // '@app/**' should also match '@app' itself
+      if (glob[i + 2] === undefined && glob[i - 1] === '/') {
+        re = re.slice(0, -1) + '(?:/.*)?'
+      } else {
+        re += '.*'
+      }
+      i++
+    } else if (char === '*') {
+      re += '[^/]*'
+    } else if (char === '?') {
+      re += '[^/]'
+    } else {
+      re += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${re}$`)
+}
+
+/**
+ * Parses a regular expression written as a string wrapped in slashes, like '/^on[A-Z]/i'
+ * @param {string} pattern
+ * @returns {RegExp | null} null if the string is not wrapped in slashes
+ */
+function parseRegExp(pattern) {
+  const regexParts = /^\/(.+)\/([a-z]*)$/.exec(pattern)
+  return regexParts ? new RegExp(regexParts[1], regexParts[2]) : null
+}
+
+/**
+ * Reports a problem along with its fix, which is applied as an autofix with the `fix` option,
+ * or offered as a suggestion otherwise so that editors can apply it on demand
+ * @param {import('eslint').Rule.RuleContext} context
+ * @param {boolean} autofix
+ * @param {string} desc the description of the suggestion
+ * @param {import('eslint').Rule.ReportDescriptor} descriptor
+ */
+function reportWithFix(context, autofix, desc, descriptor) {
+  const { fix, ...rest } = descriptor
+  context.report(autofix ? descriptor : { ...rest, suggest: [{ desc, fix }] })
+}
+
+/**
+ * Reports the problems found in a list along with the fix that sorts the whole list, if it can be fixed
+ * With the `fix` option one more report carries the fix as an autofix, so that it is applied once,
+ * otherwise each problem offers it as a suggestion
+ * @param {import('eslint').Rule.RuleContext} context
+ * @param {import('eslint').Rule.ReportDescriptor[]} problems
+ * @param {boolean} autofix
+ * @param {string} desc the description of the suggestion
+ * @param {import('eslint').Rule.ReportDescriptor | false | undefined} fixDescriptor the report carrying the fix,
+ *   falsy when the list cannot be fixed
+ */
+function reportProblems(context, problems, autofix, desc, fixDescriptor) {
+  problems.forEach(problem =>
+    context.report(
+      fixDescriptor && !autofix
+        ? { ...problem, suggest: [{ desc, fix: fixDescriptor.fix }] }
+        : problem
+    )
+  )
+  if (fixDescriptor && autofix) {
+    context.report(fixDescriptor)
+  }
+}
+
 module.exports = {
   getSpanningRange,
+  getLeadingComments,
+  getTrailingComments,
+  getCommentedRange,
   getCommentedText,
   getTextBetweenCommentedNodes,
+  getReorderedText,
+  getSortedText,
+  getMemberWithoutSeparator,
   getSorter,
-  getExpressionSortName
+  chainSorters,
+  compareNodePositions,
+  getPropertySorter,
+  getNameComparator,
+  comparatorSchemaProperties,
+  getExpressionSortName,
+  getPropertyKeyName,
+  mayHaveSideEffects,
+  hasSideEffectingKey,
+  globToRegExp,
+  parseRegExp,
+  reportWithFix,
+  reportProblems
 }